@@ -0,0 +1,163 @@
+/**
+ * Reply Guy - Chrome Extension
+ * Filtering history, shared by the content script, the popup and the analytics dashboard
+ * Features:
+ * - Per-day and per-session counts of shown and hidden tweets, hidden tweets
+ *   broken down by reason, tweets queued and replies sent
+ * - Sessions keep their counts per filter profile, so profiles can be compared
+ * - Kept in chrome.storage.local, dropping the oldest days and sessions, and
+ *   written only by the service worker, so tabs never overwrite each other
+ * - Labels for filter reasons, used by the decision inspector and the dashboard
+ * - CSV and JSON export of the tweets a page decided on, for the on-page
+ *   inspector and the popup
+ */
+
+const MAX_ANALYTICS_DAYS = 365;
+const MAX_ANALYTICS_SESSIONS = 500;
+
+const FILTER_REASON_LABELS = {
+  time: 'too old',
+  followers: 'too few followers',
+  followers_unknown: 'follower count unknown',
+  followers_pending: 'follower count unknown',
+  too_new: 'too new',
+  seen: 'already seen',
+  replied: 'already replied',
+  keywords: 'muted words',
+  engagement: 'engagement outside limits',
+  velocity: 'slow engagement',
+  blocklist: 'always hidden account',
+  parent_filtered: 'part of a hidden conversation',
+  previously_filtered: 'hidden earlier'
+};
+
+function describeFilterReason(reason) {
+  return FILTER_REASON_LABELS[reason] || reason.replace(/_/g, ' ');
+}
+
+// { shown, hidden, reasons: { reason: hidden count }, queued, replies }
+function createAnalyticsCounts() {
+  return { shown: 0, hidden: 0, reasons: {}, queued: 0, replies: 0 };
+}
+
+// Add counts into target, which may be a partial record from storage
+function addAnalyticsCounts(target, counts) {
+  ['shown', 'hidden', 'queued', 'replies'].forEach(field => {
+    target[field] = (target[field] || 0) + (counts[field] || 0);
+  });
+  target.reasons = target.reasons || {};
+  Object.keys(counts.reasons || {}).forEach(reason => {
+    target.reasons[reason] = (target.reasons[reason] || 0) + counts.reasons[reason];
+  });
+  return target;
+}
+
+function isEmptyAnalyticsCounts(counts) {
+  return !counts.shown && !counts.hidden && !counts.queued && !counts.replies;
+}
+
+// Local date as "YYYY-MM-DD"
+function getAnalyticsDayKey(time) {
+  const date = new Date(time);
+  const pad = value => String(value).padStart(2, '0');
+  return `${date.getFullYear()}-${pad(date.getMonth() + 1)}-${pad(date.getDate())}`;
+}
+
+// { days: { "YYYY-MM-DD": counts plus sessions }, sessions: [{ id, startedAt,
+// updatedAt, counts, byProfile: { profile name: counts } }] }, oldest session first
+function readAnalytics(callback) {
+  chrome.storage.local.get(['analytics'], function(result) {
+    const analytics = result.analytics || {};
+    callback({
+      days: analytics.days && typeof analytics.days === 'object' ? analytics.days : {},
+      sessions: Array.isArray(analytics.sessions) ? analytics.sessions : []
+    });
+  });
+}
+
+// Add counts to today and to a session, creating either as needed. Only the
+// service worker calls this, one call at a time (see background.js); tabs send
+// it their counts.
+function recordAnalytics(session, counts, profileName, callback) {
+  readAnalytics(function(analytics) {
+    const now = Date.now();
+    const dayKey = getAnalyticsDayKey(now);
+
+    let stored = analytics.sessions.find(entry => entry.id === session.id);
+    if (!stored) {
+      stored = { id: session.id, startedAt: session.startedAt, counts: createAnalyticsCounts(), byProfile: {} };
+      analytics.sessions.push(stored);
+    }
+
+    const day = analytics.days[dayKey] || (analytics.days[dayKey] = Object.assign(createAnalyticsCounts(), { sessions: 0 }));
+    // A session counts once for each day it was active
+    if (!stored.updatedAt || getAnalyticsDayKey(stored.updatedAt) !== dayKey) {
+      day.sessions = (day.sessions || 0) + 1;
+    }
+    addAnalyticsCounts(day, counts);
+    addAnalyticsCounts(stored.counts, counts);
+    stored.byProfile[profileName] = addAnalyticsCounts(stored.byProfile[profileName] || createAnalyticsCounts(), counts);
+    stored.updatedAt = now;
+
+    const dayKeys = Object.keys(analytics.days).sort();
+    dayKeys.slice(0, Math.max(0, dayKeys.length - MAX_ANALYTICS_DAYS)).forEach(key => {
+      delete analytics.days[key];
+    });
+    analytics.sessions = analytics.sessions.slice(-MAX_ANALYTICS_SESSIONS);
+
+    chrome.storage.local.set({ analytics: analytics }, callback);
+  });
+}
+
+// Columns of an exported decision log
+const DECISION_LOG_COLUMNS = ['id', 'author', 'followers', 'timestamp', 'text', 'decision', 'reason', 'detail', 'decidedAt'];
+
+// Decisions recorded by content.js -> export rows, oldest first
+function toDecisionLogRows(entries) {
+  return entries.map(entry => ({
+    id: entry.id,
+    author: entry.handle || '',
+    followers: typeof entry.followers === 'number' ? entry.followers : null,
+    timestamp: entry.postedAt || null,
+    text: entry.text || '',
+    decision: entry.action === 'hide' ? 'hidden' : 'shown',
+    reason: entry.action === 'hide' ? describeFilterReason(entry.reason) : '',
+    detail: (entry.chain || []).join(' → '),
+    decidedAt: new Date(entry.decidedAt).toISOString()
+  }));
+}
+
+// Export rows as the text of a 'csv' or 'json' file
+function formatDecisionLog(rows, format) {
+  if (format === 'json') {
+    return JSON.stringify(rows, null, 2);
+  }
+
+  const lines = [DECISION_LOG_COLUMNS.join(',')];
+  rows.forEach(row => {
+    lines.push(DECISION_LOG_COLUMNS.map(column => escapeCsvValue(row[column])).join(','));
+  });
+  return lines.join('\r\n') + '\r\n';
+}
+
+function escapeCsvValue(value) {
+  if (value === null || value === undefined) return '';
+  // Tweet text is written by anyone, so a cell that a spreadsheet would run
+  // as a formula gets a leading ' to keep it plain text
+  const text = /^[=+\-@\t\r]/.test(String(value)) ? `'${value}` : String(value);
+  return /[",\r\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+}
+
+// Save decisions as a CSV or JSON download
+function downloadDecisionLog(entries, format) {
+  const content = formatDecisionLog(toDecisionLogRows(entries), format);
+  const blob = new Blob([content], { type: format === 'json' ? 'application/json' : 'text/csv' });
+  const url = URL.createObjectURL(blob);
+  const link = document.createElement('a');
+  link.href = url;
+  link.download = `reply-guy-tweets-${getAnalyticsDayKey(Date.now())}.${format}`;
+  document.body.appendChild(link);
+  link.click();
+  link.remove();
+  setTimeout(() => URL.revokeObjectURL(url), 1000);
+}
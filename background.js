@@ -0,0 +1,164 @@
+/**
+ * Reply Guy - Chrome Extension
+ * Background service worker
+ * Features:
+ * - Switches filter profiles on a schedule, by time of day and day of week
+ * - Schedules can run past midnight (e.g. 22:00 - 06:00)
+ * - Checks once a minute with chrome.alarms; profile switches reach open X.com
+ *   tabs through chrome.storage.onChanged, without a reload
+ * - Upgrades settings stored by older versions when the extension is installed or updated
+ * - Writes the filtering history sent by X.com tabs, one write at a time
+ * - Switches to the next profile on the "cycle-profile" keyboard shortcut
+ *   (Alt+Shift+P unless changed in chrome://extensions/shortcuts)
+ */
+
+importScripts('settings.js', 'profiles.js', 'analytics.js');
+
+const SCHEDULE_ALARM = 'reply-guy-schedule';
+
+chrome.runtime.onInstalled.addListener(function() {
+  migrateStoredSettings();
+  startScheduler();
+});
+chrome.runtime.onStartup.addListener(startScheduler);
+
+chrome.alarms.onAlarm.addListener(function(alarm) {
+  if (alarm.name === SCHEDULE_ALARM) {
+    applySchedules();
+  }
+});
+
+// Apply edited schedules straight away
+chrome.storage.onChanged.addListener(function(changes, areaName) {
+  if (areaName === 'sync' && changes.schedules) {
+    applySchedules();
+  }
+});
+
+// Switch to the next profile, and let the tab the shortcut was pressed in
+// show its name. Other tabs, and pages that aren't X.com, just ignore it.
+chrome.commands.onCommand.addListener(function(command, tab) {
+  if (command !== 'cycle-profile') return;
+  
+  cycleProfile(function(error, profile) {
+    if (error) {
+      console.error('Error switching profile:', error);
+      return;
+    }
+    if (tab && tab.id !== undefined) {
+      chrome.tabs.sendMessage(tab.id, { type: 'profileSwitched', name: profile.name }, function() {
+        // No content script in this tab
+        void chrome.runtime.lastError;
+      });
+    }
+  });
+});
+
+// Filtering history from every X.com tab, and the dashboard's "Clear
+// history", is written here one write at a time, so tabs saving together
+// don't overwrite each other's counts
+chrome.runtime.onMessage.addListener(function(message, sender, sendResponse) {
+  if (!message) return;
+
+  if (message.type === 'recordAnalytics' && message.session && typeof message.session.id === 'string' && message.counts) {
+    queueAnalyticsWrite(function(done) {
+      loadProfiles(function(profiles, activeProfileId) {
+        const profile = profiles.find(entry => entry.id === activeProfileId);
+        recordAnalytics(message.session, message.counts, profile ? profile.name : 'Default', done);
+      });
+    }).then(() => sendResponse({}));
+    return true;
+  }
+  if (message.type === 'clearAnalytics') {
+    queueAnalyticsWrite(function(done) {
+      chrome.storage.local.remove('analytics', done);
+    }).then(() => sendResponse({}));
+    return true;
+  }
+});
+
+let analyticsWrites = Promise.resolve();
+
+// Run a write, which calls done() when finished, after the ones before it
+function queueAnalyticsWrite(write) {
+  analyticsWrites = analyticsWrites.then(() => new Promise(function(resolve) {
+    try {
+      write(resolve);
+    } catch (error) {
+      console.error('Error saving filtering history:', error);
+      resolve();
+    }
+  }));
+  return analyticsWrites;
+}
+
+// Check the schedules at the start of every minute
+function startScheduler() {
+  const nextMinute = new Date();
+  nextMinute.setSeconds(0, 0);
+  nextMinute.setMinutes(nextMinute.getMinutes() + 1);
+
+  chrome.alarms.create(SCHEDULE_ALARM, { when: nextMinute.getTime(), periodInMinutes: 1 });
+  applySchedules();
+}
+
+// Switch to the profile of the schedule that covers the current time. A
+// schedule's profile is applied once when its window starts, so a profile
+// picked by hand stays until the next window begins.
+function applySchedules() {
+  chrome.storage.sync.get(null, function(result) {
+    const profiles = readStoredProfiles(result);
+    const schedules = (Array.isArray(result.schedules) ? result.schedules : [])
+      .filter(schedule => profiles.some(profile => profile.id === schedule.profileId));
+    const schedule = findActiveSchedule(schedules, new Date());
+    const scheduleKey = schedule ? `${schedule.id}:${schedule.profileId}` : null;
+
+    chrome.storage.local.get(['appliedSchedule'], function(local) {
+      if (local.appliedSchedule === scheduleKey) return;
+
+      chrome.storage.local.set({ appliedSchedule: scheduleKey });
+      if (schedule) {
+        switchProfile(schedule.profileId, function(error) {
+          if (error) {
+            console.error('Error applying scheduled profile:', error);
+          }
+        });
+      }
+    });
+  });
+}
+
+// The first schedule whose window contains the given time
+function findActiveSchedule(schedules, date) {
+  const minutes = date.getHours() * 60 + date.getMinutes();
+  const today = date.getDay();
+  const yesterday = (today + 6) % 7;
+
+  return schedules.find(schedule => {
+    if (!Array.isArray(schedule.days)) return false;
+
+    const start = parseTimeOfDay(schedule.start);
+    const end = parseTimeOfDay(schedule.end);
+    if (start === null || end === null || start === end) return false;
+
+    if (start < end) {
+      return schedule.days.includes(today) && minutes >= start && minutes < end;
+    }
+
+    // The window runs past midnight: it belongs to the day it starts on
+    return (schedule.days.includes(today) && minutes >= start) ||
+           (schedule.days.includes(yesterday) && minutes < end);
+  }) || null;
+}
+
+// "09:30" -> minutes since midnight
+function parseTimeOfDay(value) {
+  const match = typeof value === 'string' && value.match(/^(\d{1,2}):(\d{2})$/);
+  if (!match) return null;
+
+  const hours = parseInt(match[1]);
+  const minutes = parseInt(match[2]);
+  if (hours > 23 || minutes > 59) return null;
+
+  return hours * 60 + minutes;
+}
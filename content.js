@@ -1,6 +1,6 @@
 /**
  * Reply Guy - Chrome Extension
- * Filters tweets on X.com's For You feed based on age and follower count
+ * Filters tweets on X.com's timelines based on age and follower count
  * 
  * Changes made:
  * - Switched from inline styles to CSS classes for hiding tweets
@@ -12,25 +12,52 @@
  * - Updated default follower cutoff from 100 to 2000
  * - Added filtering for "Show more replies" links of filtered conversations
  * - Enhanced reply detection for standalone replies in the feed
+ * - Replaced duplicated time/follower checks with an ordered filter rule engine
+ * - Added a tweet extraction layer that parses each tweet once into a cached model
  * 
  * Features:
- * - Only operates on the main For You feed, not individual posts
+ * - Operates on the For you and Following timelines, Lists, Search results and
+ *   profile timelines, each enabled separately with its own age and follower
+ *   settings
+ * - Optional thread mode on individual post pages: replies are filtered while the
+ *   focal tweet and the tweets above it stay visible
  * - Hides tweets older than a customizable time threshold (default: 2 hours)
+ * - The age window can be any duration, or "since I last looked"; an optional minimum age
+ *   holds back tweets that may still be edited
  * - Hides tweets from users with follower counts below a customizable threshold
+ * - Caches author data read from X's own API responses (see network-hook.js), and
+ *   follower counts seen in profile headers and hover cards anywhere on X
+ * - Hides tweets matching muted keywords, exact phrases or regular expressions
+ * - Always shows allowlisted authors and always hides blocklisted authors
+ * - Hides tweets outside reply/repost/like/view thresholds or below an engagement velocity
+ * - Optionally scores each shown tweet as a reply opportunity (recency, author
+ *   followers, engagement velocity and how few replies it has) and highlights the top N
+ * - Reply queue: a "Queue" button on each tweet collects it in a sidebar panel with
+ *   its author, live age and link, reorderable and removable; items expire after the
+ *   maximum age
+ * - Reply templates: a picker under reply composers opened from a processed tweet
+ *   inserts a template with {author}, {handle} and {topic} filled in
+ * - Export of the session's tweets (author, follower count, time, text, decision and
+ *   reason) as CSV or JSON from the decision inspector or the popup
+ * - Filtering history: per-day and per-session counts of shown and hidden tweets by
+ *   reason, queued tweets and replies, saved with analytics.js for the dashboard
+ * - Remembers the tweets the logged-in user replies to, and badges or hides them and
+ *   their conversations
+ * - Optionally hides tweets already seen in an earlier visit, counting a tweet as seen
+ *   once it has stayed in view for a few seconds
+ * - Optionally collapses filtered tweets to a one-line stub that expands on click
+ * - Records why each tweet was filtered, viewable in an on-page inspector, with a
+ *   per-tweet "show anyway" override that lasts for the browser session
+ * - Shows the name of the profile switched to with the profile shortcut (see background.js)
  * - Shows real-time counter of filtered and displayed tweets
  * - Manually loads more tweets only when button is clicked
  * - Prevents any automatic scrolling
  */
 
-// Default settings: 120 minutes = 2 hours, enabled by default
-let settings = { 
-  maxAge: 120, 
-  enabled: true,
-  followerFilterEnabled: false,
-  minFollowers: 2000
-};
+// Settings start at the defaults from settings.js until storage has been read
+let settings = getDefaultSettings();
 
-let statsCounter = { hidden: 0, shown: 0, hiddenByFollowers: 0 };
+let statsCounter = { hidden: 0, shown: 0, hiddenByFollowers: 0, hiddenByKeywords: 0, hiddenByEngagement: 0, unknownFollowers: 0 };
 let observer = null;
 let isLoading = false;
 let lastScrollPosition = 0;
@@ -38,43 +65,89 @@ let scrollStabilizer = null;
 let filterDebounceTimer = null;
 let filteredParentIds = new Set(); // Track filtered parent posts by their IDs
 let allFilteredTweets = new Set(); // Track all filtered tweet IDs for more persistent filtering
-
-// Load stored settings from chrome.storage on startup
-chrome.storage.sync.get(['maxAge', 'enabled', 'followerFilterEnabled', 'minFollowers'], function(result) {
-  if (result.maxAge) settings.maxAge = result.maxAge;
-  if (typeof result.enabled === 'boolean') settings.enabled = result.enabled;
-  if (typeof result.followerFilterEnabled === 'boolean') settings.followerFilterEnabled = result.followerFilterEnabled;
-  if (typeof result.minFollowers === 'number') settings.minFollowers = result.minFollowers;
-  
+let filteredTweetReasons = new Map(); // Original filter reason for each filtered tweet ID
+let expandedTweetIds = new Set(); // Collapsed tweets the user has expanded
+let filterDecisions = new Map(); // Tweet ID -> latest decision with its reason chain
+const SESSION_OVERRIDES_KEY = 'reply-guy-show-anyway';
+let sessionOverrides = loadSessionOverrides(); // Tweet IDs the user chose to show anyway
+let threadContextIds = new Set(); // On post pages, the focal tweet and the tweets above it
+let previousVisitAt = null; // When the user last looked at X before this page, for the "since I last looked" window
+let minAgeTimer = null; // Re-filters when the next too-new tweet reaches the minimum age
+let minAgeTimerDueAt = null;
+
+// Load stored settings from chrome.storage on startup, already normalized
+readSettings(function(stored) {
+  settings = stored;
   initializeFilter();
+  loadReplyQueue();
 });
 
 // Listen for settings changes to update dynamically
-chrome.storage.onChanged.addListener(function(changes) {
-  if (changes.maxAge) settings.maxAge = changes.maxAge.newValue;
-  if (changes.enabled) settings.enabled = changes.enabled.newValue;
-  if (changes.followerFilterEnabled) settings.followerFilterEnabled = changes.followerFilterEnabled.newValue;
-  if (changes.minFollowers) settings.minFollowers = changes.minFollowers.newValue;
-  
-  // Check if we're on the For You feed
-  if (isForYouFeed()) {
-    if (settings.enabled) {
+chrome.storage.onChanged.addListener(function(changes, areaName) {
+  // Local storage only holds caches, not settings
+  if (areaName === 'local') {
+    if (changes.authorCache) mergeAuthorCache(changes.authorCache.newValue);
+    if (changes.seenTweets) handleSeenTweetsChange(changes.seenTweets.newValue);
+    if (changes.repliedTweets) mergeRepliedTweets(changes.repliedTweets.newValue);
+    if (changes.replyQueue) {
+      replyQueue = Array.isArray(changes.replyQueue.newValue) ? changes.replyQueue.newValue : [];
+      renderReplyQueue();
+    }
+    return;
+  }
+  
+  // Invalid or removed values come back as the default
+  Object.assign(settings, normalizeSettingChanges(changes));
+  
+  // Recompile mute patterns on the next evaluation
+  muteMatchers = null;
+  
+  // Tweets filtered by a list or pattern that changed get a fresh decision
+  if (changes.muteFilterEnabled || changes.muteKeywords || changes.mutePhrases || changes.muteRegexes ||
+      changes.muteCaseSensitive || changes.muteWholeWord) {
+    forgetFilteredTweets(['keywords']);
+  }
+  if (changes.blocklist) {
+    forgetFilteredTweets(['blocklist']);
+  }
+  if (changes.followerFilterEnabled || changes.minFollowers || changes.unknownFollowerPolicy) {
+    forgetFilteredTweets(['followers', 'followers_unknown']);
+  }
+  if (changes.engagementFilterEnabled || changes.engagementThresholds || changes.minVelocity) {
+    forgetFilteredTweets(['engagement', 'velocity']);
+  }
+  if (changes.repliedDisplay) {
+    forgetFilteredTweets(['replied']);
+  }
+  if (changes.seenFilterEnabled) {
+    forgetFilteredTweets(['seen']);
+    if (!settings.seenFilterEnabled) stopWatchingSeenTweets();
+  }
+  if (changes.surfaces || changes.maxAge || changes.ageWindow) {
+    // Age decisions also hid whole conversations, so start over
+    resetFilterState();
+  }
+  if (changes.maxAge || changes.enabled) {
+    renderReplyQueue();
+  }
+  if (changes.replyTemplates) {
+    refreshTemplatePickers();
+  }
+  
+  // Check if this page is filtered
+  if (isFilteredSurface() && settings.enabled) {
+    if (!document.getElementById('reply-guy-counter')) {
+      // Filtering was just switched on for this page
+      initializeFilter();
+    } else {
       injectFilterStyles(); // Ensure styles are present
       debouncedFilterTweets();
       setupObserver();
-    } else {
-      // If disabled, show all tweets and remove counter
-      showAllTweets();
-      removeStatsCounter();
-      if (observer) {
-        observer.disconnect();
-        observer = null;
-      }
     }
   } else {
-    // Clean up if we're not on the For You feed
+    // If disabled here, show all tweets and remove counter
+    showAllTweets();
     removeStatsCounter();
-    removeLoadMoreButton();
     if (observer) {
       observer.disconnect();
       observer = null;
@@ -92,9 +165,13 @@ function injectFilterStyles() {
     document.head.appendChild(styleEl);
   }
   
-  // Define CSS rules for hiding filtered tweets with !important to ensure they apply immediately
+  applyDisplayMode();
+  
+  // Define CSS rules for hiding filtered tweets with !important to ensure they apply immediately.
+  // In collapse mode a tweet the user expanded from its stub is left alone.
   styleEl.textContent = `
-    .reply-guy-filtered-tweet {
+    html:not(.reply-guy-collapse-mode) .reply-guy-filtered-tweet,
+    html.reply-guy-collapse-mode .reply-guy-filtered-tweet:not(.reply-guy-expanded) {
       display: none !important;
       height: 0 !important;
       margin: 0 !important;
@@ -111,36 +188,358 @@ function injectFilterStyles() {
     [data-testid="tweet"] {
       transition: none !important;
     }
+    
+    /* One-line stubs left in place of collapsed tweets */
+    .reply-guy-stub {
+      display: none;
+    }
+    
+    html.reply-guy-collapse-mode .reply-guy-stub {
+      display: flex;
+      align-items: center;
+      gap: 6px;
+      padding: 8px 16px;
+      border-bottom: 1px solid rgba(83, 100, 113, 0.25);
+      color: #536471;
+      font-family: -apple-system, BlinkMacSystemFont, "Segoe UI", Roboto, Helvetica, Arial, sans-serif;
+      font-size: 13px;
+      cursor: pointer;
+    }
+    
+    html.reply-guy-collapse-mode .reply-guy-stub:hover {
+      background: rgba(29, 155, 240, 0.06);
+    }
+    
+    /* Decision inspector opened from the stats counter */
+    #reply-guy-inspector {
+      position: fixed;
+      bottom: 120px;
+      right: 20px;
+      width: 360px;
+      max-height: 60vh;
+      display: flex;
+      flex-direction: column;
+      background: white;
+      color: #0F1419;
+      border-radius: 12px;
+      box-shadow: 0 2px 16px rgba(0, 0, 0, 0.25);
+      z-index: 10000;
+      font-family: -apple-system, BlinkMacSystemFont, "Segoe UI", Roboto, Helvetica, Arial, sans-serif;
+      font-size: 13px;
+    }
+    
+    .reply-guy-inspector-header {
+      display: flex;
+      justify-content: space-between;
+      align-items: center;
+      padding: 10px 12px;
+      border-bottom: 1px solid #EFF3F4;
+      font-weight: bold;
+    }
+    
+    .reply-guy-inspector-header button {
+      border: none;
+      background: transparent;
+      font-size: 18px;
+      cursor: pointer;
+    }
+    
+    .reply-guy-inspector-header .reply-guy-inspector-export {
+      margin-right: 4px;
+      padding: 0 6px;
+      border: 1px solid #CFD9DE;
+      border-radius: 10px;
+      font-size: 11px;
+      color: #1D9BF0;
+    }
+    
+    .reply-guy-inspector-list {
+      overflow-y: auto;
+    }
+    
+    .reply-guy-inspector-entry, .reply-guy-inspector-empty {
+      padding: 8px 12px;
+      border-bottom: 1px solid #EFF3F4;
+    }
+    
+    .reply-guy-inspector-entry > div:first-child {
+      white-space: nowrap;
+      overflow: hidden;
+      text-overflow: ellipsis;
+    }
+    
+    .reply-guy-inspector-chain {
+      margin: 4px 0 6px;
+      color: #536471;
+    }
+    
+    .reply-guy-inspector-entry button {
+      border: 1px solid #1D9BF0;
+      border-radius: 12px;
+      background: transparent;
+      color: #1D9BF0;
+      padding: 2px 10px;
+      cursor: pointer;
+    }
+    
+    .reply-guy-stub-toggle {
+      margin-left: auto;
+      color: #1D9BF0;
+    }
+    
+    /* Always show / always hide controls injected into each tweet */
+    .reply-guy-author-controls {
+      display: inline-flex;
+      gap: 4px;
+      margin-left: 8px;
+      vertical-align: middle;
+    }
+    
+    .reply-guy-author-controls button {
+      border: 1px solid #CFD9DE;
+      border-radius: 10px;
+      background: transparent;
+      color: #536471;
+      font-size: 11px;
+      line-height: 16px;
+      padding: 0 6px;
+      cursor: pointer;
+    }
+    
+    .reply-guy-author-controls button.reply-guy-active {
+      background: #1D9BF0;
+      border-color: #1D9BF0;
+      color: white;
+    }
+    
+    /* Reply queue sidebar */
+    #reply-guy-queue {
+      position: fixed;
+      top: 80px;
+      right: 20px;
+      width: 300px;
+      max-height: 45vh;
+      display: flex;
+      flex-direction: column;
+      background: white;
+      color: #0F1419;
+      border-radius: 12px;
+      box-shadow: 0 2px 16px rgba(0, 0, 0, 0.25);
+      z-index: 10000;
+      font-family: -apple-system, BlinkMacSystemFont, "Segoe UI", Roboto, Helvetica, Arial, sans-serif;
+      font-size: 13px;
+    }
+    
+    #reply-guy-queue.reply-guy-queue-collapsed .reply-guy-queue-list {
+      display: none;
+    }
+    
+    .reply-guy-queue-header {
+      display: flex;
+      justify-content: space-between;
+      align-items: center;
+      padding: 10px 12px;
+      border-bottom: 1px solid #EFF3F4;
+      font-weight: bold;
+      cursor: pointer;
+    }
+    
+    .reply-guy-queue-list {
+      overflow-y: auto;
+    }
+    
+    .reply-guy-queue-entry {
+      padding: 8px 12px;
+      border-bottom: 1px solid #EFF3F4;
+    }
+    
+    .reply-guy-queue-text {
+      color: #536471;
+      white-space: nowrap;
+      overflow: hidden;
+      text-overflow: ellipsis;
+    }
+    
+    .reply-guy-queue-age {
+      color: #536471;
+      font-weight: normal;
+    }
+    
+    .reply-guy-queue-actions {
+      display: flex;
+      align-items: center;
+      gap: 6px;
+      margin-top: 4px;
+    }
+    
+    .reply-guy-queue-actions a {
+      color: #1D9BF0;
+      margin-right: auto;
+    }
+    
+    .reply-guy-queue-actions button {
+      border: 1px solid #CFD9DE;
+      border-radius: 10px;
+      background: white;
+      font-size: 11px;
+      cursor: pointer;
+    }
+    
+    /* Template picker under reply composers */
+    .reply-guy-template-picker {
+      margin: 4px 0;
+      padding: 2px 6px;
+      border: 1px solid #CFD9DE;
+      border-radius: 10px;
+      background: white;
+      color: #536471;
+      font-size: 12px;
+      cursor: pointer;
+    }
+    
+    /* Reply opportunity score, and the highest scoring tweets */
+    .reply-guy-score-badge {
+      display: inline-block;
+      margin-left: 8px;
+      padding: 0 6px;
+      border: 1px solid #CFD9DE;
+      border-radius: 10px;
+      color: #536471;
+      font-size: 11px;
+      line-height: 16px;
+      vertical-align: middle;
+    }
+    
+    .reply-guy-top-tweet {
+      box-shadow: inset 3px 0 0 #1D9BF0;
+    }
+    
+    .reply-guy-top-tweet .reply-guy-score-badge {
+      background: #1D9BF0;
+      border-color: #1D9BF0;
+      color: white;
+    }
+    
+    /* Badge on tweets we have already replied to */
+    .reply-guy-replied-badge {
+      display: inline-block;
+      margin-left: 8px;
+      padding: 0 6px;
+      border-radius: 10px;
+      background: #00BA7C;
+      color: white;
+      font-size: 11px;
+      line-height: 16px;
+      vertical-align: middle;
+    }
   `;
 }
 
-function isForYouFeed() {
-  // More precise check to ensure we're only on the main For You feed
-  // Exclude individual post pages (which have /status/ in the URL)
-  if (window.location.pathname.includes('/status/')) {
-    return false;
+// Switch the page between hiding and collapsing filtered tweets
+function applyDisplayMode() {
+  document.documentElement.classList.toggle('reply-guy-collapse-mode', settings.enabled && settings.displayMode === 'collapse');
+}
+
+// Surfaces of X the filter can run on. On /home the selected tab decides
+// between the For you and Following timelines.
+const SURFACE_LABELS = {
+  forYou: 'For you',
+  following: 'Following',
+  list: 'List',
+  search: 'Search',
+  profile: 'Profile',
+  thread: 'Thread'
+};
+
+// First path segments that are X pages rather than profiles
+const RESERVED_PATHS = [
+  'home', 'explore', 'notifications', 'messages', 'i', 'settings', 'search', 'compose',
+  'bookmarks', 'lists', 'verified', 'tos', 'privacy', 'jobs', 'communities', 'premium',
+  'login', 'logout', 'signup', 'grok', 'hashtag'
+];
+
+// Returns the surface the current page belongs to, or null if it isn't one we filter
+function getCurrentSurface() {
+  const path = window.location.pathname;
+  
+  // Individual post pages; their photo, analytics and quote pages are excluded
+  if (path.includes('/status/')) {
+    return getFocalTweetId() ? 'thread' : null;
   }
   
-  // Also exclude other sections like notifications, messages, etc.
-  if (window.location.pathname.match(/^\/(explore|notifications|messages|i|lists|bookmarks|verified|tos|privacy)/)) {
-    return false;
+  // Main feed is either / or /home, with the timeline picked by the selected tab
+  if (path === '/' || path === '/home') {
+    const selectedTab = document.querySelector('a[aria-selected="true"][role="tab"]');
+    const tabName = selectedTab ? selectedTab.textContent.toLowerCase() : '';
+    if (tabName.includes('for you')) return 'forYou';
+    if (tabName.includes('following')) return 'following';
+    return null;
   }
   
-  // Now check for the actual For You feed
-  // Main feed is either / or /home
-  if (window.location.pathname === '/' || window.location.pathname === '/home') {
-    // Extra check: look for the "For you" tab being selected
-    const forYouTab = document.querySelector('a[aria-selected="true"][role="tab"]:not([aria-selected="false"])');
-    return forYouTab && forYouTab.textContent.toLowerCase().includes('for you');
+  if (/^\/i\/lists\/\d+\/?$/.test(path)) {
+    return 'list';
   }
   
-  return false;
+  if (path === '/search') {
+    return 'search';
+  }
+  
+  // Profile timelines: /handle, /handle/with_replies, /handle/media ...
+  const profileMatch = path.match(/^\/([A-Za-z0-9_]{1,15})(\/(with_replies|media|highlights|articles))?\/?$/);
+  if (profileMatch && !RESERVED_PATHS.includes(profileMatch[1].toLowerCase())) {
+    return 'profile';
+  }
+  
+  return null;
+}
+
+// The tweet an individual post page is about
+function getFocalTweetId() {
+  const match = window.location.pathname.match(/^\/[A-Za-z0-9_]{1,15}\/status\/(\d+)\/?$/);
+  return match ? match[1] : null;
+}
+
+// Find the focal tweet and the tweets rendered above it (the thread it replies
+// to). Until the focal tweet has rendered, every tweet counts as context.
+function updateThreadContext() {
+  threadContextIds.clear();
+  if (getCurrentSurface() !== 'thread') return;
+  
+  const focalId = getFocalTweetId();
+  for (const tweet of document.querySelectorAll('[data-testid="tweet"]')) {
+    const tweetId = extractTweet(tweet).id;
+    if (tweetId) threadContextIds.add(tweetId);
+    if (tweetId === focalId) break;
+  }
+}
+
+// Stored options for a surface. Only For you is filtered until the user
+// enables the others.
+function getSurfaceConfig(surface) {
+  return Object.assign(
+    { enabled: surface === 'forYou', maxAge: null, followerFilterEnabled: null, minFollowers: null },
+    settings.surfaces[surface]
+  );
+}
+
+// Whether filtering runs on the current page
+function isFilteredSurface() {
+  const surface = getCurrentSurface();
+  return surface !== null && getSurfaceConfig(surface).enabled;
+}
+
+// A setting as it applies to the current surface; surfaces can override
+// maxAge, followerFilterEnabled and minFollowers, null meaning the global value
+function getSurfaceSetting(key) {
+  const surface = getCurrentSurface();
+  const value = surface ? getSurfaceConfig(surface)[key] : null;
+  return value === null || value === undefined ? settings[key] : value;
 }
 
 function initializeFilter() {
-  // Only proceed if we're on the For You feed and filter is enabled
-  if (!isForYouFeed() || !settings.enabled) {
-    // Clean up if we're not on the For You feed
+  // Only proceed if this surface is filtered and filter is enabled
+  if (!isFilteredSurface() || !settings.enabled) {
+    // Clean up if we're not on a filtered surface
     removeStatsCounter();
     removeLoadMoreButton();
     return;
@@ -231,8 +630,8 @@ function setupObserver() {
   
   // Set up MutationObserver to process dynamically loaded tweets
   observer = new MutationObserver((mutations) => {
-    // First check if we're still on the For You feed
-    if (!isForYouFeed()) {
+    // First check if we're still on a filtered surface
+    if (!isFilteredSurface()) {
       observer.disconnect();
       observer = null;
       removeStatsCounter();
@@ -299,104 +698,13 @@ function setupObserver() {
 function processTweetsImmediately(tweets) {
   // First, identify tweet conversation groups and parents
   const conversationGroups = identifyConversationGroups(tweets);
+  updateThreadContext();
   
-  // Process each tweet
+  // Process each tweet through the filter rules
   tweets.forEach(tweet => {
-    // Default to showing the tweet
-    let shouldFilter = false;
-    let filterReason = '';
-    
-    // Get tweet ID for tracking
-    const tweetId = getTweetId(tweet);
-    
-    // Check if we've already decided to filter this specific tweet
-    if (tweetId && allFilteredTweets.has(tweetId)) {
-      shouldFilter = true;
-      filterReason = 'previously_filtered';
-    } else {
-      // Check if this is a reply to a filtered parent
-      const conversationId = getTweetConversationId(tweet);
-      const isReply = isTweetReply(tweet);
-      
-      if (isReply && ((conversationId && filteredParentIds.has(conversationId)) || isReplyingToFilteredUser(tweet))) {
-        // Filter this reply because its parent is filtered
-        shouldFilter = true;
-        filterReason = 'parent_filtered';
-        
-        // Remember this tweet ID for future filtering
-        if (tweetId) {
-          allFilteredTweets.add(tweetId);
-        }
-      } else {
-        // Check time filter if enabled
-        const timestamp = tweet.querySelector('time');
-        if (timestamp) {
-          try {
-            const tweetTime = parseTweetTime(timestamp);
-            const cutoffTime = new Date(Date.now() - settings.maxAge * 60000);
-
-            // If this tweet is too old
-            if (tweetTime <= cutoffTime) {
-              shouldFilter = true;
-              filterReason = 'time';
-              
-              // If this is a parent tweet, remember its ID to filter replies
-              if (!isReply) {
-                if (tweetId) {
-                  filteredParentIds.add(tweetId);
-                  allFilteredTweets.add(tweetId);
-                }
-                
-                if (conversationId) {
-                  filteredParentIds.add(conversationId);
-                }
-              } else {
-                // Also track replies that are filtered by time
-                if (tweetId) {
-                  allFilteredTweets.add(tweetId);
-                }
-              }
-            }
-          } catch (error) {
-            console.error('Error processing tweet time:', error);
-          }
-        }
-
-        // Check follower count filter if enabled and the tweet is still visible
-        if (!shouldFilter && settings.followerFilterEnabled) {
-          try {
-            const followerCount = parseFollowerCount(tweet);
-            if (followerCount !== null && followerCount < settings.minFollowers) {
-              shouldFilter = true;
-              filterReason = 'followers';
-              
-              // Track this tweet
-              if (tweetId) {
-                allFilteredTweets.add(tweetId);
-              }
-            }
-          } catch (error) {
-            console.error('Error processing follower count:', error);
-          }
-        }
-      }
-    }
-
-    // Apply filtering using CSS class for immediate effect
-    if (shouldFilter) {
-      tweet.classList.add('reply-guy-filtered-tweet');
-      if (filterReason === 'followers') {
-        statsCounter.hiddenByFollowers++;
-      }
-      statsCounter.hidden++;
-    } else {
-      tweet.classList.remove('reply-guy-filtered-tweet');
-      // Remove from filtered set if it was there
-      if (tweetId) {
-        allFilteredTweets.delete(tweetId);
-      }
-      statsCounter.shown++;
-    }
+    const model = extractTweet(tweet);
+    const decision = evaluateFilterRules(model);
+    applyFilterDecision(model, decision);
   });
   
   // Try to also hide any "Show more replies" links for filtered conversations
@@ -406,571 +714,2397 @@ function processTweetsImmediately(tweets) {
   updateStatsCounter();
 }
 
-// Helper function to identify conversation groups in a set of tweets
-function identifyConversationGroups(tweets) {
-  const groups = new Map();
-  
-  tweets.forEach(tweet => {
-    const conversationId = getTweetConversationId(tweet);
-    if (conversationId) {
-      if (!groups.has(conversationId)) {
-        groups.set(conversationId, []);
-      }
-      groups.get(conversationId).push(tweet);
-    }
-  });
-  
-  return groups;
+// ---------------------------------------------------------------------------
+// Filter rule engine
+//
+// A rule is a named predicate over a tweet model (see parseTweetElement) that
+// returns a verdict: hide, show or neutral, plus a reason and a human-readable
+// detail. Rules are evaluated in order and the first non-neutral verdict
+// decides what happens to the tweet. Rules can be combined with allOf() /
+// anyOf() to build compound criteria.
+// ---------------------------------------------------------------------------
+
+const RULE_HIDE = 'hide';
+const RULE_SHOW = 'show';
+const RULE_NEUTRAL = 'neutral';
+
+function createRule(name, predicate) {
+  return { name, evaluate: predicate };
 }
 
-// Helper function to get a tweet's conversation ID with enhanced detection
-function getTweetConversationId(tweet) {
-  // Method 1: Try to find conversation ID from data attributes
-  const conversationId = tweet.getAttribute('data-conversation-id') || 
-                         tweet.getAttribute('data-converation-id') || 
-                         tweet.getAttribute('data-tweet-conversation-id');
-  
-  if (conversationId) return conversationId;
-  
-  // Method 2: Look for conversation link in the tweet
-  const conversationLinks = tweet.querySelectorAll('a[href*="/status/"]');
-  for (const link of conversationLinks) {
-    const href = link.getAttribute('href');
-    // Avoid links to the tweet itself by checking context
-    if (link.closest('[data-testid="caret"]')) continue;
-    if (link.closest('[data-testid="card.wrapper"]')) continue;
-    
-    const match = href.match(/\/status\/(\d+)/);
-    if (match && match[1]) {
-      return match[1];
+// `detail` explains the verdict, either as a string or as a chain of steps
+function verdict(action, reason, detail) {
+  return { action, reason: reason || '', detail: detail || '' };
+}
+
+function neutralVerdict() {
+  return verdict(RULE_NEUTRAL);
+}
+
+// Run a single rule, treating errors and empty results as neutral
+function runRule(rule, model) {
+  try {
+    const result = rule.evaluate(model);
+    if (result && (result.action === RULE_HIDE || result.action === RULE_SHOW)) {
+      return verdict(result.action, result.reason || rule.name, result.detail);
     }
+  } catch (error) {
+    console.error(`Error evaluating filter rule "${rule.name}":`, error);
   }
-  
-  // Method 3: Try to extract from thread context
-  const threadParent = tweet.closest('[data-testid="cellInnerDiv"]');
-  if (threadParent) {
-    const threadLinks = threadParent.querySelectorAll('a[href*="/status/"]');
-    for (const link of threadLinks) {
-      if (link.closest('[data-testid="tweet"]') === tweet) continue; // Skip links in the current tweet
-      
-      const href = link.getAttribute('href');
-      const match = href.match(/\/status\/(\d+)/);
-      if (match && match[1]) {
-        return match[1];
+  return neutralVerdict();
+}
+
+// AND: applies only when every child rule returns the same non-neutral verdict
+function allOf(name, rules) {
+  return createRule(name, model => {
+    let action = null;
+    const reasons = [];
+    const details = [];
+    
+    for (const rule of rules) {
+      const result = runRule(rule, model);
+      if (result.action === RULE_NEUTRAL || (action && result.action !== action)) {
+        return neutralVerdict();
       }
+      action = result.action;
+      reasons.push(result.reason);
+      details.push(toReasonChain(result).join(' → '));
     }
-  }
-  
-  // Method 4: Look for "Replying to" links
-  const replyingToSpan = Array.from(tweet.querySelectorAll('span')).find(span => 
-    span.textContent && span.textContent.toLowerCase().includes('replying to')
-  );
-  
-  if (replyingToSpan) {
-    const closestLink = replyingToSpan.closest('div').querySelector('a[href*="/"]');
-    if (closestLink) {
-      // Check if this user has recent tweets we filtered
-      const username = closestLink.textContent.replace('@', '');
-      // Look for filtered tweets from this user
-      const filteredFromUser = document.querySelectorAll('[data-testid="tweet"].reply-guy-filtered-tweet');
-      for (const filteredTweet of filteredFromUser) {
-        const userElement = filteredTweet.querySelector('a[role="link"][href^="/"]');
-        if (userElement && userElement.getAttribute('href').replace(/^\//, '').split('/')[0] === username) {
-          const filteredId = getTweetId(filteredTweet);
-          if (filteredId) return filteredId;
-        }
+    
+    return action ? verdict(action, reasons.join('+'), details.join(' and ')) : neutralVerdict();
+  });
+}
+
+// OR: applies the first non-neutral verdict returned by a child rule
+function anyOf(name, rules) {
+  return createRule(name, model => {
+    for (const rule of rules) {
+      const result = runRule(rule, model);
+      if (result.action !== RULE_NEUTRAL) {
+        return result;
       }
     }
-  }
-  
-  return null;
+    return neutralVerdict();
+  });
 }
 
-// Helper function to get a tweet's ID
-function getTweetId(tweet) {
-  // Try to find tweet ID from data attributes
-  const tweetId = tweet.getAttribute('data-tweet-id') || 
-                 tweet.getAttribute('data-status-id');
-  
-  if (tweetId) return tweetId;
-  
-  // Look for status link
-  const statusLink = tweet.querySelector('a[href*="/status/"]');
-  if (statusLink) {
-    const href = statusLink.getAttribute('href');
-    const match = href.match(/\/status\/(\d+)/);
-    if (match && match[1]) {
-      return match[1];
+// Evaluate an ordered list of rules against a tweet model
+function evaluateFilterRules(model, rules = filterRules) {
+  for (const rule of rules) {
+    const result = runRule(rule, model);
+    if (result.action !== RULE_NEUTRAL) {
+      return { action: result.action, reason: result.reason, rule: rule.name, chain: toReasonChain(result) };
     }
   }
-  
-  return null;
+  return { action: RULE_NEUTRAL, reason: '', rule: null, chain: ['passed all filters'] };
 }
 
-// Helper function to determine if a tweet is a reply
-function isTweetReply(tweet) {
-  // Method 1: Check for presence of reply indicator elements
-  const replyIndicator = tweet.querySelector('[data-testid="reply"]') || 
-                         tweet.querySelector('[data-testid="replyLine"]') ||
-                         tweet.querySelector('[aria-label*="reply"]');
-  
-  if (replyIndicator) return true;
-  
-  // Method 2: Check for a "Replying to" text
-  const replyingToText = Array.from(tweet.querySelectorAll('span')).find(span => 
-    span.textContent && (
-      span.textContent.toLowerCase().includes('replying to') || 
-      span.textContent.toLowerCase().includes('replying')
-    )
-  );
-  
-  if (replyingToText) return true;
+// The steps that led to a verdict, e.g. ['reply', 'parent 1789… filtered by time (3h old > 2h)']
+function toReasonChain(result) {
+  if (Array.isArray(result.detail)) return result.detail;
+  return [result.detail || result.reason.replace(/_/g, ' ')];
+}
 
-  // Method 3: Look for reply context indicators
-  const hasReplyContext = tweet.querySelector('[href*="/status/"][role="link"]:not([href$="/photo/1"])');
-  if (hasReplyContext) {
-    // Exclude links that are just to the tweet itself
-    const tweetId = getTweetId(tweet);
-    if (tweetId) {
-      const isLinkToSelf = hasReplyContext.getAttribute('href').includes(tweetId);
-      if (!isLinkToSelf) return true;
-    } else {
-      return true;
-    }
-  }
-  
-  // Method 4: Check the tweet structure - if it's indented or has special styling
-  const isIndented = tweet.classList.contains('r-indented') || 
-                    (tweet.parentElement && tweet.parentElement.classList.contains('r-indented'));
-  
-  if (isIndented) return true;
+// Add a rule to the chain, optionally at a specific position
+function registerFilterRule(rule, index = filterRules.length) {
+  filterRules.splice(index, 0, rule);
+}
 
-  // Method 5: Check for quoted text elements which often indicate a reply
-  const quotedText = tweet.querySelector('[role="blockquote"]') || 
-                     tweet.querySelector('.r-1777fci');  // CSS class often used for quoted text
-  
-  if (quotedText) return true;
+// A tweet ID shortened for reason chains, e.g. "1789…"
+function shortTweetId(tweetId) {
+  return tweetId && tweetId.length > 4 ? `${tweetId.slice(0, 4)}…` : String(tweetId);
+}
 
-  // Method 6: Try to infer from context whether this looks like a reply
-  const tweetText = tweet.textContent.trim().toLowerCase();
-  if (tweetText.startsWith('@') || 
-      tweetText.includes('no, ') || 
-      tweetText.includes('yes, ') || 
-      tweetText.includes('i agree') || 
-      tweetText.includes('disagree') ||
-      tweetText.includes('there was a time when')) {
-    return true;
+// Tweets posted at or before this time are too old: the age window, or the
+// previous visit in "since I last looked" mode
+function getCutoffTime() {
+  if (isSinceLastVisit()) {
+    return new Date(previousVisitAt);
   }
+  return new Date(Date.now() - getSurfaceSetting('maxAge') * 60000);
+}
 
-  return false;
+// Without a recorded visit the age window is used
+function isSinceLastVisit() {
+  return settings.ageWindow === 'lastVisit' && previousVisitAt !== null;
 }
 
-// Helper to check if a tweet is replying to a user with filtered tweets
-function isReplyingToFilteredUser(tweet) {
-  // Find "Replying to @username" text
-  const replyingToSpan = Array.from(tweet.querySelectorAll('span')).find(span => 
+// Tweets posted after this time are younger than the minimum age
+function getMinAgeCutoff() {
+  return settings.minAge > 0 ? new Date(Date.now() - settings.minAge * 60000) : null;
+}
+
+// Tweets the user chose to show anyway from the inspector
+const overrideRule = createRule('override', tweet => {
+  if (tweet.id && sessionOverrides.has(tweet.id)) {
+    // Keep the reasons it was hidden for
+    const previous = filterDecisions.get(tweet.id);
+    if (previous && previous.rule === 'override') {
+      return verdict(RULE_SHOW, 'override', previous.chain);
+    }
+    const hiddenBy = previous && previous.action === 'hide' ? previous.chain : [];
+    return verdict(RULE_SHOW, 'override', ['shown anyway', ...hiddenBy]);
+  }
+  return neutralVerdict();
+});
+
+// On post pages the focal tweet and the thread above it are always shown
+const threadContextRule = createRule('thread_context', tweet => {
+  if (tweet.id && threadContextIds.has(tweet.id)) {
+    return verdict(RULE_SHOW, 'thread_context',
+      tweet.id === getFocalTweetId() ? 'focal tweet' : 'part of the thread above the focal tweet');
+  }
+  return neutralVerdict();
+});
+
+// Allowlisted authors are always shown
+const allowlistRule = createRule('allowlist', tweet => {
+  if (isAuthorInList(tweet, settings.allowlist)) {
+    return verdict(RULE_SHOW, 'allowlist', `@${tweet.author.handle} is always shown`);
+  }
+  return neutralVerdict();
+});
+
+// Blocklisted authors are always hidden
+const blocklistRule = createRule('blocklist', tweet => {
+  if (isAuthorInList(tweet, settings.blocklist)) {
+    return verdict(RULE_HIDE, 'blocklist', `@${tweet.author.handle} is always hidden`);
+  }
+  return neutralVerdict();
+});
+
+function isAuthorInList(tweet, list) {
+  const handle = normalizeHandle(tweet.author.handle);
+  return !!handle && (list || []).includes(handle);
+}
+
+function normalizeHandle(handle) {
+  return handle ? handle.trim().replace(/^@/, '').toLowerCase() : '';
+}
+
+// Tweets we have already decided to filter stay filtered, for their original reason
+const previouslyFilteredRule = createRule('previously_filtered', tweet => {
+  if (tweet.id && allFilteredTweets.has(tweet.id)) {
+    const previous = filterDecisions.get(tweet.id);
+    return verdict(RULE_HIDE, filteredTweetReasons.get(tweet.id) || 'previously_filtered',
+      previous ? previous.chain : 'filtered earlier');
+  }
+  return neutralVerdict();
+});
+
+// Replies are filtered together with their filtered parent
+const parentFilteredRule = createRule('parent_filtered', tweet => {
+  if (!tweet.isReply) return neutralVerdict();
+  
+  // A tweet is never hidden as a reply to itself
+  if (tweet.conversationId && tweet.conversationId !== tweet.id &&
+      filteredParentIds.has(tweet.conversationId)) {
+    const parent = filterDecisions.get(tweet.conversationId);
+    const parentReason = parent ? parent.chain.join(' → ') : 'an earlier decision';
+    return verdict(RULE_HIDE, 'parent_filtered',
+      ['reply', `parent ${shortTweetId(tweet.conversationId)} filtered by ${parentReason}`]);
+  }
+  
+  const filteredParent = findFilteredTweetRepliedTo(tweet);
+  if (filteredParent) {
+    const parent = filteredParent.id ? filterDecisions.get(filteredParent.id) : null;
+    const parentReason = parent ? parent.chain.join(' → ') : 'an earlier decision';
+    return verdict(RULE_HIDE, 'parent_filtered',
+      ['reply', `to @${tweet.replyingTo}, whose tweet ${shortTweetId(filteredParent.id)} was filtered by ${parentReason}`]);
+  }
+  return neutralVerdict();
+});
+
+const timeRule = createRule('time', tweet => {
+  if (tweet.timestamp && tweet.timestamp <= getCutoffTime()) {
+    const ageMinutes = (Date.now() - tweet.timestamp.getTime()) / 60000;
+    const limit = isSinceLastVisit() ? ', posted before your last visit' : ` > ${formatDuration(getSurfaceSetting('maxAge'))}`;
+    return verdict(RULE_HIDE, 'time', `time (${formatDuration(ageMinutes)} old${limit})`);
+  }
+  return neutralVerdict();
+});
+
+// Tweets still young enough to be edited. They are held back rather than
+// remembered, and shown once they reach the minimum age.
+const minAgeRule = createRule('min_age', tweet => {
+  const minAgeCutoff = getMinAgeCutoff();
+  if (tweet.timestamp && minAgeCutoff && tweet.timestamp > minAgeCutoff) {
+    const ageMinutes = (Date.now() - tweet.timestamp.getTime()) / 60000;
+    return verdict(RULE_HIDE, 'too_new', `too new (${formatDuration(ageMinutes)} old < ${formatDuration(settings.minAge)})`);
+  }
+  return neutralVerdict();
+});
+
+// Tweets we replied to and the rest of their conversations
+const repliedRule = createRule('replied', tweet => {
+  if (settings.repliedDisplay !== 'hide') return neutralVerdict();
+  
+  const replied = getRepliedStatus(tweet);
+  return replied ? verdict(RULE_HIDE, 'replied', replied) : neutralVerdict();
+});
+
+// Tweets already seen in an earlier visit. Tweets seen since this page loaded
+// stay, so nothing disappears while it's being read.
+const seenRule = createRule('seen', tweet => {
+  if (settings.seenFilterEnabled && tweet.id && previouslySeenIds.has(tweet.id)) {
+    const seenAt = seenTweets[tweet.id];
+    return verdict(RULE_HIDE, 'seen', seenAt
+      ? `already seen (${formatDuration((Date.now() - seenAt) / 60000)} ago)`
+      : 'already seen');
+  }
+  return neutralVerdict();
+});
+
+// Muted keywords, phrases and regular expressions
+const keywordRule = createRule('keywords', tweet => {
+  if (!settings.muteFilterEnabled || !tweet.text) return neutralVerdict();
+  
+  const match = getMuteMatchers().find(matcher => matcher.pattern.test(tweet.text));
+  if (match) {
+    return verdict(RULE_HIDE, 'keywords', `muted ${match.label}`);
+  }
+  return neutralVerdict();
+});
+
+// Reply/repost/like/view counts outside the configured min/max thresholds
+const engagementRule = createRule('engagement', tweet => {
+  if (!settings.engagementFilterEnabled) return neutralVerdict();
+  
+  for (const [metric, limits] of Object.entries(settings.engagementThresholds || {})) {
+    const count = tweet.metrics[metric];
+    if (count === null || count === undefined || !limits) continue;
+    
+    if (typeof limits.min === 'number' && count < limits.min) {
+      return verdict(RULE_HIDE, 'engagement', `${metric} (${count.toLocaleString()} < ${limits.min.toLocaleString()})`);
+    }
+    if (typeof limits.max === 'number' && count > limits.max) {
+      return verdict(RULE_HIDE, 'engagement', `${metric} (${count.toLocaleString()} > ${limits.max.toLocaleString()})`);
+    }
+  }
+  return neutralVerdict();
+});
+
+// Tweets that aren't picking up engagement fast enough
+const velocityRule = createRule('velocity', tweet => {
+  if (!settings.engagementFilterEnabled || !settings.minVelocity) return neutralVerdict();
+  
+  const velocity = getEngagementVelocity(tweet);
+  if (velocity !== null && velocity < settings.minVelocity) {
+    return verdict(RULE_HIDE, 'velocity', `velocity (${velocity.toFixed(2)}/min < ${settings.minVelocity}/min)`);
+  }
+  return neutralVerdict();
+});
+
+const followerRule = createRule('followers', tweet => {
+  if (!getSurfaceSetting('followerFilterEnabled')) return neutralVerdict();
+  
+  const followerCount = getAuthorFollowerCount(tweet);
+  if (followerCount === null) {
+    // Unknown authors are shown, hidden for good, or held back until their count arrives
+    if (settings.unknownFollowerPolicy === 'hide') {
+      return verdict(RULE_HIDE, 'followers_unknown', 'follower count unknown');
+    }
+    if (settings.unknownFollowerPolicy === 'hold') {
+      return verdict(RULE_HIDE, 'followers_pending', 'follower count unknown, waiting for it');
+    }
+  } else if (followerCount < getSurfaceSetting('minFollowers')) {
+    return verdict(RULE_HIDE, 'followers',
+      `followers (${followerCount.toLocaleString()} < ${getSurfaceSetting('minFollowers').toLocaleString()})`);
+  }
+  return neutralVerdict();
+});
+
+// Ordered rule chain applied to every tweet
+let filterRules = [
+  overrideRule,
+  threadContextRule,
+  allowlistRule,
+  blocklistRule,
+  previouslyFilteredRule,
+  parentFilteredRule,
+  timeRule,
+  minAgeRule,
+  repliedRule,
+  seenRule,
+  keywordRule,
+  engagementRule,
+  velocityRule,
+  followerRule
+];
+
+let muteMatchers = null; // Compiled from the mute settings on first use
+
+// Compile the mute lists into regular expressions, labelled for the inspector
+function getMuteMatchers() {
+  if (muteMatchers) return muteMatchers;
+  
+  const flags = settings.muteCaseSensitive ? 'u' : 'iu';
+  const wrap = pattern => settings.muteWholeWord
+    ? `(?<![\\p{L}\\p{N}_])${pattern}(?![\\p{L}\\p{N}_])`
+    : pattern;
+  
+  muteMatchers = [];
+  
+  (settings.muteKeywords || []).forEach(keyword => {
+    if (keyword.trim()) {
+      muteMatchers.push({
+        pattern: new RegExp(wrap(escapeRegExp(keyword.trim())), flags),
+        label: `keyword "${keyword.trim()}"`
+      });
+    }
+  });
+  
+  // Phrases match the exact word sequence, ignoring differences in whitespace
+  (settings.mutePhrases || []).forEach(phrase => {
+    const words = phrase.trim().split(/\s+/).filter(Boolean);
+    if (words.length > 0) {
+      muteMatchers.push({
+        pattern: new RegExp(wrap(words.map(escapeRegExp).join('\\s+')), flags),
+        label: `phrase "${words.join(' ')}"`
+      });
+    }
+  });
+  
+  (settings.muteRegexes || []).forEach(pattern => {
+    if (!pattern.trim()) return;
+    try {
+      muteMatchers.push({
+        pattern: new RegExp(pattern, settings.muteCaseSensitive ? '' : 'i'),
+        label: `pattern /${pattern}/`
+      });
+    } catch (error) {
+      console.warn(`Ignoring invalid mute pattern "${pattern}":`, error);
+    }
+  });
+  
+  return muteMatchers;
+}
+
+function escapeRegExp(text) {
+  return text.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+}
+
+// Remember a parent tweet as filtered so its replies are filtered too
+function markFilteredParent(model, result) {
+  // The thread a post page is about is never filtered
+  if (model.id && threadContextIds.has(model.id)) return;
+  
+  if (model.id) {
+    filteredParentIds.add(model.id);
+    allFilteredTweets.add(model.id);
+    filteredTweetReasons.set(model.id, 'time');
+    recordFilterDecision(model, { action: RULE_HIDE, reason: 'time', rule: 'time', chain: toReasonChain(result) });
+  }
+  
+  if (model.conversationId) {
+    filteredParentIds.add(model.conversationId);
+  }
+}
+
+// Before the replies around it are decided, remember an old tweet as a
+// filtered parent if the rules will hide it for its age. Tweets an earlier
+// rule shows (shown anyway, the thread context, the allowlist) keep their
+// replies.
+function markParentIfTooOld(model) {
+  if (runRule(timeRule, model).action !== RULE_HIDE) return;
+  
+  const decision = evaluateFilterRules(model);
+  if (decision.action === RULE_HIDE && decision.reason === 'time') {
+    markFilteredParent(model, { reason: decision.reason, detail: decision.chain });
+  }
+}
+
+// Forget earlier decisions made for the given reasons so they are re-evaluated
+function forgetFilteredTweets(reasons) {
+  filteredTweetReasons.forEach((reason, tweetId) => {
+    if (reasons.includes(reason)) {
+      allFilteredTweets.delete(tweetId);
+      filteredTweetReasons.delete(tweetId);
+    }
+  });
+}
+
+// Forget everything decided so far, e.g. when moving to a surface with different settings
+function resetFilterState() {
+  filteredParentIds.clear();
+  allFilteredTweets.clear();
+  filteredTweetReasons.clear();
+}
+
+// Reasons that can change while the tweet is on the page: its author's
+// follower count arrives, it gets old enough, or it picks up engagement.
+// Tweets hidden for them are held back rather than remembered, so every
+// pass decides on them again.
+const HELD_FILTER_REASONS = ['followers_pending', 'too_new', 'engagement', 'velocity'];
+
+function isHeldFilterReason(reason) {
+  return HELD_FILTER_REASONS.includes(reason);
+}
+
+// Apply a rule decision to the tweet element and tracking state.
+// Returns true if the tweet was filtered.
+function applyFilterDecision(model, decision) {
+  const tweet = model.element;
+  recordFilterDecision(model, decision);
+  countTweetForAnalytics(model, decision);
+  
+  if (decision.action === RULE_HIDE) {
+    // Old parent tweets take their replies with them
+    if (decision.reason === 'time' && !model.isReply) {
+      markFilteredParent(model, { reason: decision.reason, detail: decision.chain });
+    }
+    
+    // Remember this tweet ID for future filtering, except for held tweets
+    if (model.id && !isHeldFilterReason(decision.reason)) {
+      allFilteredTweets.add(model.id);
+      filteredTweetReasons.set(model.id, decision.reason);
+      
+      // On post pages a hidden reply takes the replies under it with it
+      if (getCurrentSurface() === 'thread') {
+        filteredParentIds.add(model.id);
+      }
+    }
+    
+    // Apply filtering using CSS class for immediate effect
+    tweet.classList.add('reply-guy-filtered-tweet');
+    addCollapsedStub(model, decision);
+    // Held tweets don't take their replies with them, see findFilteredTweetRepliedTo()
+    tweet.toggleAttribute('data-reply-guy-held', isHeldFilterReason(decision.reason));
+    if (decision.reason === 'followers_pending') {
+      tweet.setAttribute('data-reply-guy-followers', 'pending');
+    } else {
+      tweet.removeAttribute('data-reply-guy-followers');
+    }
+    
+    if (decision.reason === 'too_new') {
+      scheduleMinAgeRefilter(model.timestamp);
+    } else if (decision.reason === 'followers_pending' || decision.reason === 'followers_unknown') {
+      statsCounter.unknownFollowers++;
+    } else if (decision.reason === 'followers') {
+      statsCounter.hiddenByFollowers++;
+    } else if (decision.reason === 'keywords') {
+      statsCounter.hiddenByKeywords++;
+    } else if (decision.reason === 'engagement' || decision.reason === 'velocity') {
+      statsCounter.hiddenByEngagement++;
+    }
+    statsCounter.hidden++;
+    return true;
+  }
+  
+  tweet.classList.remove('reply-guy-filtered-tweet', 'reply-guy-expanded');
+  tweet.removeAttribute('data-reply-guy-held');
+  removeCollapsedStub(tweet);
+  // Remove from filtered set if it was there
+  if (model.id) {
+    allFilteredTweets.delete(model.id);
+    filteredTweetReasons.delete(model.id);
+  }
+  addAuthorControls(model);
+  updateScoreBadge(model);
+  updateRepliedBadge(model);
+  watchSeenTweet(tweet);
+  
+  // Flag tweets whose author's follower count isn't known yet
+  if (isFollowerCountPending(model, decision)) {
+    tweet.setAttribute('data-reply-guy-followers', 'pending');
+    statsCounter.unknownFollowers++;
+  } else {
+    tweet.removeAttribute('data-reply-guy-followers');
+  }
+  
+  statsCounter.shown++;
+  return false;
+}
+
+// Leave a one-line stub in front of a filtered tweet showing who was hidden
+// and why. CSS only shows stubs in collapse mode.
+function addCollapsedStub(model, decision) {
+  const tweet = model.element;
+  let stub = tweet.previousElementSibling;
+  
+  if (!stub || !stub.classList.contains('reply-guy-stub')) {
+    stub = document.createElement('div');
+    stub.className = 'reply-guy-stub';
+    stub.setAttribute('role', 'button');
+    
+    const summary = document.createElement('span');
+    summary.className = 'reply-guy-stub-summary';
+    const toggle = document.createElement('span');
+    toggle.className = 'reply-guy-stub-toggle';
+    stub.append(summary, toggle);
+    
+    stub.addEventListener('click', function(event) {
+      event.preventDefault();
+      event.stopPropagation();
+      toggleCollapsedTweet(stub);
+    });
+    
+    tweet.before(stub);
+  }
+  
+  const author = model.author.handle ? `@${model.author.handle}` : 'Tweet';
+  stub.querySelector('.reply-guy-stub-summary').textContent = `Hidden: ${author} · ${describeFilterReason(decision.reason)}`;
+  stub.title = decision.chain.join(' → ');
+  
+  const expanded = !!model.id && expandedTweetIds.has(model.id);
+  tweet.classList.toggle('reply-guy-expanded', expanded);
+  stub.querySelector('.reply-guy-stub-toggle').textContent = expanded ? 'Collapse' : 'Show';
+}
+
+function removeCollapsedStub(tweet) {
+  const stub = tweet.previousElementSibling;
+  if (stub && stub.classList.contains('reply-guy-stub')) {
+    stub.remove();
+  }
+}
+
+// Expand or collapse the tweet following a stub
+function toggleCollapsedTweet(stub) {
+  const tweet = stub.nextElementSibling;
+  if (!tweet || !tweet.classList.contains('reply-guy-filtered-tweet')) return;
+  
+  const expanded = tweet.classList.toggle('reply-guy-expanded');
+  stub.querySelector('.reply-guy-stub-toggle').textContent = expanded ? 'Collapse' : 'Show';
+  
+  const tweetId = getTweetId(tweet);
+  if (tweetId) {
+    if (expanded) {
+      expandedTweetIds.add(tweetId);
+    } else {
+      expandedTweetIds.delete(tweetId);
+    }
+  }
+}
+
+// Drop stubs whose tweet was re-rendered or removed by X
+function removeOrphanedStubs() {
+  document.querySelectorAll('.reply-guy-stub').forEach(stub => {
+    const tweet = stub.nextElementSibling;
+    if (!tweet || !tweet.classList.contains('reply-guy-filtered-tweet')) {
+      stub.remove();
+    }
+  });
+}
+
+// ---------------------------------------------------------------------------
+// Decision inspector
+//
+// Every decision is recorded with the chain of reasons behind it, keeping the
+// latest MAX_RECORDED_DECISIONS tweets of the page. Clicking the stats counter
+// opens a panel listing hidden tweets and why they were hidden, with a "show
+// anyway" button that lasts for the browser session, and buttons exporting
+// every recorded decision.
+// ---------------------------------------------------------------------------
+
+const MAX_RECORDED_DECISIONS = 2000;
+const MAX_INSPECTOR_ENTRIES = 50;
+
+function recordFilterDecision(model, decision) {
+  if (!model.id) return;
+  
+  // Re-insert so the most recent decisions come last
+  filterDecisions.delete(model.id);
+  filterDecisions.set(model.id, {
+    id: model.id,
+    handle: model.author.handle,
+    followers: getCachedFollowerCount(model.author.handle),
+    postedAt: model.timestamp ? model.timestamp.toISOString() : null,
+    text: model.text.slice(0, 140),
+    action: decision.action === RULE_HIDE ? 'hide' : 'show',
+    reason: decision.reason,
+    rule: decision.rule,
+    chain: decision.chain,
+    decidedAt: Date.now()
+  });
+  
+  if (filterDecisions.size > MAX_RECORDED_DECISIONS) {
+    filterDecisions.delete(filterDecisions.keys().next().value);
+  }
+}
+
+function loadSessionOverrides() {
+  try {
+    return new Set(JSON.parse(sessionStorage.getItem(SESSION_OVERRIDES_KEY)) || []);
+  } catch (error) {
+    return new Set();
+  }
+}
+
+function saveSessionOverrides() {
+  try {
+    sessionStorage.setItem(SESSION_OVERRIDES_KEY, JSON.stringify(Array.from(sessionOverrides)));
+  } catch (error) {
+    console.error('Error saving show anyway overrides:', error);
+  }
+}
+
+// Show a filtered tweet for the rest of the session, and stop tracking it as
+// filtered. Its replies are decided again, as it no longer takes them with it.
+function showTweetAnyway(tweetId) {
+  sessionOverrides.add(tweetId);
+  saveSessionOverrides();
+  allFilteredTweets.delete(tweetId);
+  filteredTweetReasons.delete(tweetId);
+  filteredParentIds.delete(tweetId);
+  forgetFilteredTweets(['parent_filtered']);
+  filterTweets();
+}
+
+function undoShowTweetAnyway(tweetId) {
+  sessionOverrides.delete(tweetId);
+  saveSessionOverrides();
+  filterTweets();
+}
+
+function toggleInspector() {
+  const panel = document.getElementById('reply-guy-inspector');
+  if (panel) {
+    panel.remove();
+    return;
+  }
+  
+  const inspector = document.createElement('div');
+  inspector.id = 'reply-guy-inspector';
+  
+  const header = document.createElement('div');
+  header.className = 'reply-guy-inspector-header';
+  const title = document.createElement('span');
+  title.textContent = 'Why tweets were hidden';
+  const actions = document.createElement('span');
+  ['csv', 'json'].forEach(format => {
+    const exportButton = document.createElement('button');
+    exportButton.className = 'reply-guy-inspector-export';
+    exportButton.textContent = format.toUpperCase();
+    exportButton.title = `Export every tweet decided on this page as ${format.toUpperCase()}`;
+    exportButton.addEventListener('click', () => downloadDecisionLog(Array.from(filterDecisions.values()), format));
+    actions.appendChild(exportButton);
+  });
+  const closeButton = document.createElement('button');
+  closeButton.textContent = '×';
+  closeButton.title = 'Close';
+  closeButton.addEventListener('click', removeInspector);
+  actions.appendChild(closeButton);
+  header.append(title, actions);
+  
+  const list = document.createElement('div');
+  list.className = 'reply-guy-inspector-list';
+  list.addEventListener('click', function(event) {
+    const button = event.target.closest('button[data-tweet-id]');
+    if (!button) return;
+    
+    if (button.dataset.action === 'undo') {
+      undoShowTweetAnyway(button.dataset.tweetId);
+    } else {
+      showTweetAnyway(button.dataset.tweetId);
+    }
+  });
+  
+  inspector.append(header, list);
+  document.body.appendChild(inspector);
+  renderInspector();
+}
+
+function removeInspector() {
+  const panel = document.getElementById('reply-guy-inspector');
+  if (panel) {
+    panel.remove();
+  }
+}
+
+// List the most recent hidden (and shown anyway) tweets with their reason chains
+function renderInspector() {
+  const list = document.querySelector('#reply-guy-inspector .reply-guy-inspector-list');
+  if (!list) return;
+  
+  const entries = Array.from(filterDecisions.values())
+    .filter(entry => entry.action === 'hide' || sessionOverrides.has(entry.id))
+    .reverse()
+    .slice(0, MAX_INSPECTOR_ENTRIES);
+  
+  list.textContent = '';
+  
+  if (entries.length === 0) {
+    const empty = document.createElement('div');
+    empty.className = 'reply-guy-inspector-empty';
+    empty.textContent = 'Nothing has been hidden yet.';
+    list.appendChild(empty);
+    return;
+  }
+  
+  entries.forEach(entry => {
+    const overridden = sessionOverrides.has(entry.id);
+    const item = document.createElement('div');
+    item.className = 'reply-guy-inspector-entry';
+    
+    const tweetLine = document.createElement('div');
+    const author = document.createElement('strong');
+    author.textContent = entry.handle ? `@${entry.handle}` : shortTweetId(entry.id);
+    const snippet = document.createElement('span');
+    snippet.textContent = entry.text ? ` ${entry.text}` : '';
+    tweetLine.append(author, snippet);
+    
+    const chain = document.createElement('div');
+    chain.className = 'reply-guy-inspector-chain';
+    chain.textContent = entry.chain.join(' → ');
+    
+    const button = document.createElement('button');
+    button.dataset.tweetId = entry.id;
+    button.dataset.action = overridden ? 'undo' : 'show';
+    button.textContent = overridden ? 'Hide again' : 'Show anyway';
+    
+    item.append(tweetLine, chain, button);
+    list.appendChild(item);
+  });
+}
+
+// Inject "always show / always hide" buttons for the tweet's author
+function addAuthorControls(model) {
+  const handle = normalizeHandle(model.author.handle);
+  const userName = model.element.querySelector('[data-testid="User-Name"]');
+  if (!handle || !userName) return;
+  
+  let controls = model.element.querySelector('.reply-guy-author-controls');
+  if (!controls) {
+    controls = document.createElement('span');
+    controls.className = 'reply-guy-author-controls';
+    
+    const showButton = document.createElement('button');
+    showButton.dataset.list = 'allowlist';
+    showButton.textContent = 'Always show';
+    
+    const hideButton = document.createElement('button');
+    hideButton.dataset.list = 'blocklist';
+    hideButton.textContent = 'Always hide';
+    
+    const queueButton = document.createElement('button');
+    queueButton.dataset.action = 'queue';
+    
+    controls.append(showButton, hideButton, queueButton);
+    controls.addEventListener('click', function(event) {
+      const button = event.target.closest('button');
+      // Keep X from opening the tweet
+      event.preventDefault();
+      event.stopPropagation();
+      if (button && button.dataset.action === 'queue') {
+        toggleQueuedTweet(extractTweet(button.closest('[data-testid="tweet"]')));
+      } else if (button) {
+        toggleAuthorList(button.closest('.reply-guy-author-controls').dataset.handle, button.dataset.list);
+      }
+    });
+    
+    userName.after(controls);
+  }
+  
+  controls.dataset.handle = handle;
+  controls.dataset.tweetId = model.id || '';
+  updateQueueButton(controls);
+  controls.querySelector('[data-list="allowlist"]').classList.toggle('reply-guy-active', settings.allowlist.includes(handle));
+  controls.querySelector('[data-list="blocklist"]').classList.toggle('reply-guy-active', settings.blocklist.includes(handle));
+}
+
+// Add a handle to the allowlist or blocklist (removing it from the other),
+// or remove it if it's already there
+function toggleAuthorList(handle, listName) {
+  const otherName = listName === 'allowlist' ? 'blocklist' : 'allowlist';
+  const list = settings[listName].filter(h => h !== handle);
+  const other = settings[otherName].filter(h => h !== handle);
+  
+  if (!settings[listName].includes(handle)) {
+    list.push(handle);
+  }
+  
+  try {
+    chrome.storage.sync.set({ [listName]: list, [otherName]: other });
+  } catch (error) {
+    console.error('Error saving author lists:', error);
+  }
+}
+
+// ---------------------------------------------------------------------------
+// Tweet extraction
+//
+// Each [data-testid="tweet"] node is parsed into a plain object that all
+// filtering runs on. Models are cached by tweet ID and parsed again when X
+// renders the tweet into a new node or the first parse caught it half-rendered;
+// engagement counts change in place, so they are re-read on every pass.
+// ---------------------------------------------------------------------------
+
+const MAX_CACHED_TWEETS = 2000;
+let tweetCache = new Map(); // tweet ID -> extracted tweet model
+
+// Get the extracted model for a tweet element, up to date with the node
+function extractTweet(tweet) {
+  const tweetId = getTweetId(tweet);
+  
+  if (tweetId && tweetCache.has(tweetId)) {
+    const cached = tweetCache.get(tweetId);
+    if (cached.element !== tweet || !cached.timestamp || !cached.author.handle) {
+      // Updated in place, so code holding on to the model sees the new values
+      Object.assign(cached, parseTweetElement(tweet, tweetId));
+    } else {
+      cached.metrics = parseTweetMetrics(tweet);
+    }
+    return cached;
+  }
+  
+  const model = parseTweetElement(tweet, tweetId);
+  
+  if (tweetId) {
+    tweetCache.set(tweetId, model);
+    // Drop the oldest entries on very long feeds
+    if (tweetCache.size > MAX_CACHED_TWEETS) {
+      tweetCache.delete(tweetCache.keys().next().value);
+    }
+  }
+  
+  return model;
+}
+
+// Parse a tweet element into a plain data model
+function parseTweetElement(tweet, tweetId) {
+  let timestamp = null;
+  const timeElement = tweet.querySelector('time');
+  if (timeElement) {
+    try {
+      timestamp = parseTweetTime(timeElement);
+    } catch (error) {
+      console.error('Error processing tweet time:', error);
+    }
+  }
+  
+  const textElement = tweet.querySelector('[data-testid="tweetText"]');
+  const socialContext = tweet.querySelector('[data-testid="socialContext"]');
+  const socialContextText = socialContext ? socialContext.textContent.toLowerCase() : '';
+  
+  return {
+    element: tweet,
+    id: tweetId,
+    conversationId: getTweetConversationId(tweet),
+    author: extractTweetAuthor(tweet),
+    timestamp: timestamp,
+    datetime: timeElement ? timeElement.getAttribute('datetime') : null,
+    text: textElement ? textElement.textContent : '',
+    media: {
+      hasPhoto: !!tweet.querySelector('[data-testid="tweetPhoto"]'),
+      hasVideo: !!tweet.querySelector('[data-testid="videoPlayer"], [data-testid="videoComponent"]'),
+      hasCard: !!tweet.querySelector('[data-testid="card.wrapper"]')
+    },
+    isReply: isTweetReply(tweet),
+    replyingTo: extractReplyingTo(tweet),
+    isQuote: tweet.querySelectorAll('[data-testid="User-Name"]').length > 1,
+    isRetweet: socialContextText.includes('repost') || socialContextText.includes('retweet'),
+    metrics: parseTweetMetrics(tweet)
+  };
+}
+
+// Reply, repost, like and view counts from the action bar
+function parseTweetMetrics(tweet) {
+  return {
+    replies: parseEngagementCount(tweet, '[data-testid="reply"]'),
+    reposts: parseEngagementCount(tweet, '[data-testid="retweet"], [data-testid="unretweet"]'),
+    likes: parseEngagementCount(tweet, '[data-testid="like"], [data-testid="unlike"]'),
+    views: parseEngagementCount(tweet, 'a[href$="/analytics"]')
+  };
+}
+
+// Extract the author's handle and display name from the tweet header
+function extractTweetAuthor(tweet) {
+  let handle = null;
+  let displayName = null;
+  
+  const userName = tweet.querySelector('[data-testid="User-Name"]');
+  if (userName) {
+    const links = userName.querySelectorAll('a[href^="/"]');
+    for (const link of links) {
+      const text = link.textContent.trim();
+      if (text.startsWith('@')) {
+        handle = text.slice(1);
+      } else if (!displayName && text) {
+        displayName = text;
+      }
+    }
+  }
+  
+  // Fall back to the first profile link in the tweet
+  if (!handle) {
+    const profileLink = tweet.querySelector('a[role="link"][href^="/"]');
+    if (profileLink) {
+      handle = profileLink.getAttribute('href').replace(/^\//, '').split('/')[0] || null;
+    }
+  }
+  
+  return {
+    handle: handle,
+    displayName: displayName,
+    // Filled from the author cache, see getAuthorFollowerCount()
+    followerCount: null,
+    verified: null,
+    createdAt: null
+  };
+}
+
+// Extract the handle from a "Replying to @username" line
+function extractReplyingTo(tweet) {
+  const replyingToSpan = Array.from(tweet.querySelectorAll('span')).find(span => 
+    span.textContent && span.textContent.toLowerCase().includes('replying to')
+  );
+  
+  if (replyingToSpan) {
+    const closestLink = replyingToSpan.closest('div').querySelector('a[href*="/"]');
+    if (closestLink) {
+      return closestLink.textContent.replace('@', '').trim();
+    }
+  }
+  
+  return null;
+}
+
+// Read an engagement count from an action bar button's label or text
+function parseEngagementCount(tweet, selector) {
+  const element = tweet.querySelector(selector);
+  if (!element) return null;
+  
+  const count = parseCompactCount(element.getAttribute('aria-label')) ?? parseCompactCount(element.textContent);
+  return count === null ? 0 : count;
+}
+
+// Replies, reposts and likes per minute since posting. The counts are re-read
+// on every pass (see extractTweet()), so this is measured up to now.
+function getEngagementVelocity(model) {
+  if (!model.timestamp) return null;
+  
+  const { replies, reposts, likes } = model.metrics;
+  if (replies === null && reposts === null && likes === null) return null;
+  
+  const engagements = (replies || 0) + (reposts || 0) + (likes || 0);
+  const minutes = Math.max(1, (Date.now() - model.timestamp.getTime()) / 60000);
+  return engagements / minutes;
+}
+
+// Follower counts come from the author cache; null while the author is unknown
+function getAuthorFollowerCount(model) {
+  const cached = getCachedAuthor(model.author.handle);
+  model.author.followerCount = cached ? cached.followers : null;
+  model.author.verified = cached ? cached.verified : null;
+  model.author.createdAt = cached ? cached.createdAt : null;
+  return model.author.followerCount;
+}
+
+// A shown tweet is pending while the follower filter can't decide on it yet
+function isFollowerCountPending(model, decision) {
+  return getSurfaceSetting('followerFilterEnabled') &&
+         decision.rule !== 'allowlist' &&
+         getAuthorFollowerCount(model) === null;
+}
+
+// Helper function to identify conversation groups in a set of tweets
+function identifyConversationGroups(tweets) {
+  const groups = new Map();
+  
+  tweets.forEach(tweet => {
+    const conversationId = getTweetConversationId(tweet);
+    if (conversationId) {
+      if (!groups.has(conversationId)) {
+        groups.set(conversationId, []);
+      }
+      groups.get(conversationId).push(tweet);
+    }
+  });
+  
+  return groups;
+}
+
+// Helper function to get a tweet's conversation ID with enhanced detection
+function getTweetConversationId(tweet) {
+  // Method 1: Try to find conversation ID from data attributes
+  const conversationId = tweet.getAttribute('data-conversation-id') || 
+                         tweet.getAttribute('data-converation-id') || 
+                         tweet.getAttribute('data-tweet-conversation-id');
+  
+  if (conversationId) return conversationId;
+  
+  // Method 2: Look for conversation link in the tweet
+  const conversationLinks = tweet.querySelectorAll('a[href*="/status/"]');
+  for (const link of conversationLinks) {
+    const href = link.getAttribute('href');
+    // Avoid links to the tweet itself by checking context
+    if (link.closest('[data-testid="caret"]')) continue;
+    if (link.closest('[data-testid="card.wrapper"]')) continue;
+    
+    const match = href.match(/\/status\/(\d+)/);
+    if (match && match[1]) {
+      return match[1];
+    }
+  }
+  
+  // Method 3: Try to extract from thread context
+  const threadParent = tweet.closest('[data-testid="cellInnerDiv"]');
+  if (threadParent) {
+    const threadLinks = threadParent.querySelectorAll('a[href*="/status/"]');
+    for (const link of threadLinks) {
+      if (link.closest('[data-testid="tweet"]') === tweet) continue; // Skip links in the current tweet
+      
+      const href = link.getAttribute('href');
+      const match = href.match(/\/status\/(\d+)/);
+      if (match && match[1]) {
+        return match[1];
+      }
+    }
+  }
+  
+  // Method 4: Look for "Replying to" links
+  const replyingToSpan = Array.from(tweet.querySelectorAll('span')).find(span => 
     span.textContent && span.textContent.toLowerCase().includes('replying to')
   );
   
   if (replyingToSpan) {
-    // Find the username being replied to
     const closestLink = replyingToSpan.closest('div').querySelector('a[href*="/"]');
     if (closestLink) {
-      const username = closestLink.textContent.replace('@', '').trim().toLowerCase();
-      
+      // Check if this user has recent tweets we filtered
+      const username = closestLink.textContent.replace('@', '');
       // Look for filtered tweets from this user
-      const allTweets = document.querySelectorAll('[data-testid="tweet"]');
-      for (const t of allTweets) {
-        if (t.classList.contains('reply-guy-filtered-tweet')) {
-          // This is a filtered tweet, check who posted it
-          const userElement = t.querySelector('a[role="link"][href^="/"]');
-          if (userElement) {
-            const tweetUsername = userElement.getAttribute('href').replace(/^\//, '').split('/')[0].toLowerCase();
-            if (tweetUsername === username) {
-              return true;
-            }
+      const filteredFromUser = document.querySelectorAll('[data-testid="tweet"].reply-guy-filtered-tweet:not([data-reply-guy-held])');
+      for (const filteredTweet of filteredFromUser) {
+        const userElement = filteredTweet.querySelector('a[role="link"][href^="/"]');
+        if (userElement && userElement.getAttribute('href').replace(/^\//, '').split('/')[0] === username) {
+          const filteredId = getTweetId(filteredTweet);
+          if (filteredId) return filteredId;
+        }
+      }
+    }
+  }
+  
+  return null;
+}
+
+// Helper function to get a tweet's ID
+function getTweetId(tweet) {
+  // Try to find tweet ID from data attributes
+  const tweetId = tweet.getAttribute('data-tweet-id') || 
+                 tweet.getAttribute('data-status-id');
+  
+  if (tweetId) return tweetId;
+  
+  // Look for status link
+  const statusLink = tweet.querySelector('a[href*="/status/"]');
+  if (statusLink) {
+    const href = statusLink.getAttribute('href');
+    const match = href.match(/\/status\/(\d+)/);
+    if (match && match[1]) {
+      return match[1];
+    }
+  }
+  
+  return null;
+}
+
+// Helper function to determine if a tweet is a reply: X labels replies with
+// "Replying to @handle" above their text. The action buttons don't count
+// (every tweet has a reply button), and neither does the tweet's own text.
+function isTweetReply(tweet) {
+  return Array.from(tweet.querySelectorAll('span')).some(span =>
+    !span.closest('[data-testid="tweetText"]') &&
+    span.textContent.trim().toLowerCase().startsWith('replying to')
+  );
+}
+
+// Helper to find a filtered tweet by the user this tweet is replying to
+function findFilteredTweetRepliedTo(model) {
+  if (!model.replyingTo) return null;
+  
+  const username = model.replyingTo.toLowerCase();
+  
+  // Look for filtered tweets from this user, ignoring held ones, which may
+  // be shown later while a reply hidden with them would stay hidden
+  const filteredTweets = document.querySelectorAll('[data-testid="tweet"].reply-guy-filtered-tweet:not([data-reply-guy-held])');
+  for (const t of filteredTweets) {
+    const filteredModel = extractTweet(t);
+    const handle = filteredModel.author.handle;
+    if (handle && handle.toLowerCase() === username) {
+      return filteredModel;
+    }
+  }
+  
+  return null;
+}
+
+// Debounce the filter to avoid frequent refiltering
+function debouncedFilterTweets() {
+  clearTimeout(filterDebounceTimer);
+  filterDebounceTimer = setTimeout(() => {
+    if (!isLoading && isFilteredSurface()) {
+      filterTweets();
+    }
+  }, 300);
+}
+
+function filterTweets() {
+  // Double-check this surface is filtered before filtering
+  if (!isFilteredSurface()) {
+    return;
+  }
+  
+  // Store current scroll position before filtering
+  const scrollBefore = window.scrollY;
+  
+  // Reset counters
+  statsCounter.hidden = 0;
+  statsCounter.shown = 0;
+  statsCounter.hiddenByFollowers = 0;
+  statsCounter.hiddenByKeywords = 0;
+  statsCounter.hiddenByEngagement = 0;
+  statsCounter.unknownFollowers = 0;
+
+  // Find all tweet elements using a stable selector
+  const tweets = document.querySelectorAll('[data-testid="tweet"]');
+  const models = Array.from(tweets, extractTweet);
+  updateThreadContext();
+  learnOwnHandle();
+  
+  // First, identify parent tweets that are too old
+  models.forEach(model => {
+    if (!model.isReply) {
+      markParentIfTooOld(model);
+    }
+  });
+  
+  // Now filter all tweets including replies to filtered parents
+  let visibleCount = 0;
+  models.forEach(model => {
+    const decision = evaluateFilterRules(model);
+    if (!applyFilterDecision(model, decision)) {
+      visibleCount++;
+    }
+  });
+
+  // Hide the "Show more replies" links for filtered conversations
+  hideShowMoreRepliesLinks();
+  highlightTopTweets(models);
+  
+  removeOrphanedStubs();
+
+  // Update the load more button visibility
+  updateLoadMoreButton(visibleCount);
+
+  // Update the on-screen counter
+  updateStatsCounter();
+  
+  // Restore scroll position to prevent unwanted jumping
+  if (!isLoading && Math.abs(window.scrollY - scrollBefore) > 50) {
+    window.scrollTo(0, scrollBefore);
+  }
+  
+  // Update our saved scroll position
+  lastScrollPosition = window.scrollY;
+}
+
+function updateLoadMoreButton(visibleCount) {
+  const loadMoreBtn = document.getElementById('reply-guy-load-more');
+  if (loadMoreBtn) {
+    if (visibleCount < 10) {
+      loadMoreBtn.style.display = 'block';
+      loadMoreBtn.textContent = `Load More (${visibleCount} visible)`;
+    } else {
+      loadMoreBtn.style.display = 'none';
+    }
+  }
+}
+
+function addLoadMoreButton() {
+  removeLoadMoreButton(); // Remove any existing button
+  
+  const loadMoreBtn = document.createElement('button');
+  loadMoreBtn.id = 'reply-guy-load-more';
+  loadMoreBtn.textContent = 'Load More Tweets';
+  loadMoreBtn.style = `
+    position: fixed;
+    bottom: 70px;
+    right: 20px;
+    background: #1D9BF0;
+    color: white;
+    padding: 10px 15px;
+    border-radius: 20px;
+    z-index: 9999;
+    font-family: -apple-system, BlinkMacSystemFont, "Segoe UI", Roboto, Helvetica, Arial, sans-serif;
+    font-weight: bold;
+    font-size: 14px;
+    border: none;
+    box-shadow: 0 2px 10px rgba(0, 0, 0, 0.2);
+    cursor: pointer;
+    display: none;
+  `;
+  
+  loadMoreBtn.addEventListener('click', function() {
+    loadMoreTweets();
+  });
+  
+  document.body.appendChild(loadMoreBtn);
+}
+
+function removeLoadMoreButton() {
+  const loadMoreBtn = document.getElementById('reply-guy-load-more');
+  if (loadMoreBtn) {
+    loadMoreBtn.remove();
+  }
+}
+
+function loadMoreTweets() {
+  if (isLoading || !isFilteredSurface()) return;
+  
+  isLoading = true;
+  const loadMoreBtn = document.getElementById('reply-guy-load-more');
+  if (loadMoreBtn) {
+    loadMoreBtn.textContent = 'Loading...';
+    loadMoreBtn.disabled = true;
+  }
+  
+  // Capture current scroll position - this is an intentional user action
+  lastScrollPosition = window.scrollY;
+  
+  // Record the current count of tweets
+  const tweetCountBefore = document.querySelectorAll('[data-testid="tweet"]').length;
+  
+  // Manually load content by scrolling slightly
+  const targetScroll = window.scrollY + (window.innerHeight * 0.75);
+  window.scrollTo({
+    top: targetScroll
+  });
+  
+  // Set a timeout to check if new tweets loaded
+  setTimeout(() => {
+    const tweetCountAfter = document.querySelectorAll('[data-testid="tweet"]').length;
+    
+    // If no new tweets loaded, scroll a bit more
+    if (tweetCountAfter <= tweetCountBefore) {
+      window.scrollTo({
+        top: window.scrollY + (window.innerHeight * 0.5)
+      });
+      
+      // Check again after a short delay
+      setTimeout(() => {
+        // Now restore position and filter
+        window.scrollTo({
+          top: lastScrollPosition
+        });
+        
+        setTimeout(() => {
+          filterTweets();
+          isLoading = false;
+          
+          if (loadMoreBtn) {
+            loadMoreBtn.disabled = false;
+            loadMoreBtn.textContent = 'Load More Tweets';
           }
+        }, 300);
+      }, 1000);
+    } else {
+      // Restore position and filter
+      window.scrollTo({
+        top: lastScrollPosition
+      });
+      
+      setTimeout(() => {
+        filterTweets();
+        isLoading = false;
+        
+        if (loadMoreBtn) {
+          loadMoreBtn.disabled = false;
+          loadMoreBtn.textContent = 'Load More Tweets';
         }
+      }, 300);
+    }
+  }, 1500);
+}
+
+function showAllTweets() {
+  // Show all tweets when filter is disabled
+  const tweets = document.querySelectorAll('[data-testid="tweet"]');
+  tweets.forEach(tweet => {
+    tweet.classList.remove('reply-guy-filtered-tweet', 'reply-guy-expanded');
+    tweet.removeAttribute('data-reply-guy-held');
+  });
+  
+  document.querySelectorAll('.reply-guy-stub').forEach(stub => stub.remove());
+  applyDisplayMode();
+  removeLoadMoreButton();
+}
+
+function parseTweetTime(timeElement) {
+  // Use datetime attribute if available (most reliable)
+  const dateTimeAttr = timeElement.getAttribute('datetime');
+  if (dateTimeAttr) return new Date(dateTimeAttr);
+
+  // Fallback to parsing text content
+  const timeText = timeElement.textContent.trim().toLowerCase();
+  const now = new Date();
+
+  if (timeText.includes('now') || timeText.includes('just now')) {
+    return now;
+  } else if (timeText.includes('m')) {
+    const minutes = parseInt(timeText);
+    return new Date(now - minutes * 60000);
+  } else if (timeText.includes('h')) {
+    const hours = parseInt(timeText);
+    return new Date(now - hours * 3600000);
+  } else if (timeText.includes('d')) {
+    const days = parseInt(timeText);
+    return new Date(now - days * 86400000);
+  } else if (timeText.includes('s')) {
+    const seconds = parseInt(timeText);
+    return new Date(now - seconds * 1000);
+  } else {
+    // Try to parse as absolute date
+    try {
+      const parsedDate = new Date(timeText);
+      if (!isNaN(parsedDate.getTime())) {
+        return parsedDate;
+      }
+    } catch (e) {
+      // Parsing failed, assume it's old
+    }
+    return new Date(0); // Very old date as fallback
+  }
+}
+
+// ---------------------------------------------------------------------------
+// Visits and minimum age
+//
+// The "since I last looked" window hides tweets posted before the previous
+// visit. A visit ends whenever a filtered page is hidden or closed, and the
+// cutoff stays fixed for the life of the page so tweets don't vanish while
+// they're being read.
+// ---------------------------------------------------------------------------
+
+function loadLastVisit() {
+  chrome.storage.local.get(['lastVisitAt'], function(result) {
+    previousVisitAt = typeof result.lastVisitAt === 'number' ? result.lastVisitAt : null;
+    
+    // Tweets may already have been filtered with the age window
+    if (settings.ageWindow === 'lastVisit' && previousVisitAt !== null) {
+      resetFilterState();
+      if (settings.enabled && isFilteredSurface()) {
+        debouncedFilterTweets();
       }
     }
+  });
+}
+
+// The page was switched away from or closed
+function recordVisit(event) {
+  if (event.type === 'visibilitychange' && document.visibilityState !== 'hidden') return;
+  
+  if (settings.enabled && isFilteredSurface()) {
+    chrome.storage.local.set({ lastVisitAt: Date.now() });
   }
+}
+
+// Filter again once the tweet posted at this time reaches the minimum age
+function scheduleMinAgeRefilter(timestamp) {
+  if (!timestamp) return;
   
-  return false;
+  const dueAt = timestamp.getTime() + settings.minAge * 60000 + 1000;
+  if (minAgeTimer && minAgeTimerDueAt <= dueAt) return;
+  
+  clearTimeout(minAgeTimer);
+  minAgeTimerDueAt = dueAt;
+  minAgeTimer = setTimeout(() => {
+    minAgeTimer = null;
+    minAgeTimerDueAt = null;
+    if (settings.enabled && isFilteredSurface()) {
+      debouncedFilterTweets();
+    }
+  }, Math.max(0, dueAt - Date.now()));
 }
 
-// Debounce the filter to avoid frequent refiltering
-function debouncedFilterTweets() {
-  clearTimeout(filterDebounceTimer);
-  filterDebounceTimer = setTimeout(() => {
-    if (!isLoading && isForYouFeed()) {
-      filterTweets();
+// ---------------------------------------------------------------------------
+// Reply opportunity scoring
+//
+// Each shown tweet gets a 0-100 score from weighted factors, each between 0
+// and 1: recency within the age window, author follower count (log scale),
+// engagement velocity, and competition (fewer replies scores higher). Factors
+// that aren't known yet, like an uncached follower count, are left out.
+// ---------------------------------------------------------------------------
+
+// factor -> 0..1, or null when unknown
+function getScoreFactors(model) {
+  const now = Date.now();
+  const windowMinutes = Math.max(1, (now - getCutoffTime().getTime()) / 60000);
+  const ageMinutes = model.timestamp ? (now - model.timestamp.getTime()) / 60000 : null;
+  const followers = getAuthorFollowerCount(model);
+  const velocity = getEngagementVelocity(model);
+  const replies = model.metrics.replies;
+  
+  return {
+    recency: ageMinutes === null ? null : Math.min(1, Math.max(0, 1 - ageMinutes / windowMinutes)),
+    followers: followers === null ? null : Math.min(1, Math.log10(followers + 1) / 6),
+    velocity: velocity === null ? null : velocity / (velocity + 1),
+    competition: replies === null ? null : 1 / (1 + replies / 10)
+  };
+}
+
+function getReplyScore(model) {
+  const factors = getScoreFactors(model);
+  let total = 0;
+  let weightSum = 0;
+  SCORE_FACTORS.forEach(factor => {
+    const weight = settings.scoreWeights[factor];
+    if (factors[factor] !== null && weight > 0) {
+      total += factors[factor] * weight;
+      weightSum += weight;
     }
-  }, 300);
+  });
+  
+  return { score: weightSum > 0 ? Math.round(total / weightSum * 100) : null, factors: factors };
 }
 
-function filterTweets() {
-  // Double-check we're on the For You feed before filtering
-  if (!isForYouFeed()) {
+function updateScoreBadge(model) {
+  let badge = model.element.querySelector('.reply-guy-score-badge');
+  const result = settings.scoringEnabled ? getReplyScore(model) : null;
+  if (!result || result.score === null) {
+    if (badge) badge.remove();
+    model.element.removeAttribute('data-reply-guy-score');
     return;
   }
   
-  // Store current scroll position before filtering
-  const scrollBefore = window.scrollY;
+  const userName = model.element.querySelector('[data-testid="User-Name"]');
+  if (!userName) return;
+  if (!badge) {
+    badge = document.createElement('span');
+    badge.className = 'reply-guy-score-badge';
+    userName.after(badge);
+  }
+  badge.textContent = String(result.score);
+  badge.title = SCORE_FACTORS
+    .map(factor => `${factor} ${result.factors[factor] === null ? 'unknown' : Math.round(result.factors[factor] * 100)}`)
+    .join(' · ');
+  model.element.setAttribute('data-reply-guy-score', String(result.score));
+}
+
+// Outline the highest scoring shown tweets and number them by rank
+function highlightTopTweets(models) {
+  document.querySelectorAll('.reply-guy-top-tweet').forEach(tweet => {
+    tweet.classList.remove('reply-guy-top-tweet');
+    const badge = tweet.querySelector('.reply-guy-score-badge');
+    if (badge) badge.textContent = tweet.getAttribute('data-reply-guy-score') || '';
+  });
+  if (!settings.scoringEnabled || settings.highlightTopN === 0) return;
   
-  // Reset counters
-  statsCounter.hidden = 0;
-  statsCounter.shown = 0;
-  statsCounter.hiddenByFollowers = 0;
+  models
+    .filter(model => !model.element.classList.contains('reply-guy-filtered-tweet') && model.element.hasAttribute('data-reply-guy-score'))
+    .sort((a, b) => Number(b.element.getAttribute('data-reply-guy-score')) - Number(a.element.getAttribute('data-reply-guy-score')))
+    .slice(0, settings.highlightTopN)
+    .forEach((model, index) => {
+      model.element.classList.add('reply-guy-top-tweet');
+      const badge = model.element.querySelector('.reply-guy-score-badge');
+      if (badge) badge.textContent = `#${index + 1} · ${model.element.getAttribute('data-reply-guy-score')}`;
+    });
+}
 
-  // Find all tweet elements using a stable selector
-  const tweets = document.querySelectorAll('[data-testid="tweet"]');
+// ---------------------------------------------------------------------------
+// Reply tracking
+//
+// The logged-in user's handle is read from X's navigation. Clicking a tweet's
+// reply button remembers it as the reply target, tied to the reply dialog
+// that opens for it, and submitting that dialog (or the inline composer on a
+// post page, which answers the focal tweet) records it in
+// chrome.storage.local, capped at MAX_REPLIED_TWEETS.
+// ---------------------------------------------------------------------------
+
+const MAX_REPLIED_TWEETS = 5000;
+const REPLY_TARGET_TTL = 30 * 60000; // A reply dialog left open longer is ignored
+const REPLY_DIALOG_WAIT = 10000; // How long a reply button's dialog may take to open
+let ownHandle = null; // The logged-in user's handle, lowercase
+let repliedTweets = {}; // tweet ID -> { conversationId, repliedAt }
+let repliedConversationIds = new Set(); // Tweets we replied to and their conversation roots
+let pendingReplyTarget = null; // { tweetId, conversationId, handle, at, dialog } for the open reply dialog
+let repliedTweetsSaveTimer = null;
+
+function loadRepliedTweets() {
+  chrome.storage.local.get(['repliedTweets', 'ownHandle'], function(result) {
+    if (typeof result.ownHandle === 'string' && !ownHandle) ownHandle = result.ownHandle;
+    mergeRepliedTweets(result.repliedTweets);
+  });
+}
+
+// Merge replies recorded by this or another tab
+function mergeRepliedTweets(entries) {
+  if (!entries || typeof entries !== 'object') return;
   
-  // First, identify parent tweets that are too old
-  tweets.forEach(tweet => {
-    if (!isTweetReply(tweet)) { // It's a parent tweet
-      const timestamp = tweet.querySelector('time');
-      if (timestamp) {
-        try {
-          const tweetTime = parseTweetTime(timestamp);
-          const cutoffTime = new Date(Date.now() - settings.maxAge * 60000);
-          
-          if (tweetTime <= cutoffTime) {
-            // This parent is too old - remember its ID
-            const tweetId = getTweetId(tweet);
-            const conversationId = getTweetConversationId(tweet);
-            
-            if (tweetId) {
-              filteredParentIds.add(tweetId);
-              allFilteredTweets.add(tweetId);
-            }
-            
-            if (conversationId) {
-              filteredParentIds.add(conversationId);
-            }
-          }
-        } catch (error) {
-          console.error('Error processing parent tweet time:', error);
-        }
+  let learnedReply = false;
+  Object.entries(entries).forEach(([tweetId, entry]) => {
+    if (!entry || typeof entry.repliedAt !== 'number') return;
+    if (!repliedTweets[tweetId]) learnedReply = true;
+    repliedTweets[tweetId] = entry;
+    repliedConversationIds.add(tweetId);
+    if (entry.conversationId) repliedConversationIds.add(entry.conversationId);
+  });
+  
+  if (learnedReply && settings.enabled && isFilteredSurface()) {
+    debouncedFilterTweets();
+  }
+}
+
+// The handle behind X's Profile navigation link
+function learnOwnHandle() {
+  const profileLink = document.querySelector('a[data-testid="AppTabBar_Profile_Link"]');
+  const match = profileLink && (profileLink.getAttribute('href') || '').match(/^\/([A-Za-z0-9_]{1,15})$/);
+  if (!match) return ownHandle;
+  
+  const handle = normalizeHandle(match[1]);
+  if (handle !== ownHandle) {
+    ownHandle = handle;
+    chrome.storage.local.set({ ownHandle: handle });
+  }
+  return ownHandle;
+}
+
+// "you replied", "in a conversation you replied to", or null. Our own tweets
+// are never counted, so our replies stay visible.
+function getRepliedStatus(model) {
+  if (!model.id || (ownHandle && normalizeHandle(model.author.handle) === ownHandle)) return null;
+  
+  if (repliedTweets[model.id]) return 'you replied';
+  if (repliedConversationIds.has(model.id) ||
+      (model.conversationId && repliedConversationIds.has(model.conversationId))) {
+    return 'in a conversation you replied to';
+  }
+  return null;
+}
+
+function updateRepliedBadge(model) {
+  const replied = settings.repliedDisplay === 'badge' ? getRepliedStatus(model) : null;
+  let badge = model.element.querySelector('.reply-guy-replied-badge');
+  if (!replied) {
+    if (badge) badge.remove();
+    return;
+  }
+  
+  const userName = model.element.querySelector('[data-testid="User-Name"]');
+  if (!userName) return;
+  if (!badge) {
+    badge = document.createElement('span');
+    badge.className = 'reply-guy-replied-badge';
+    userName.after(badge);
+  }
+  badge.textContent = replied === 'you replied' ? 'Replied' : 'Replied in thread';
+  badge.title = replied;
+}
+
+// Reply buttons pick the target; the composers' Reply buttons submit
+function handleReplyClick(event) {
+  const button = event.target.closest && event.target.closest(
+    '[data-testid="reply"], [data-testid="tweetButton"], [data-testid="tweetButtonInline"], [data-testid="SideNav_NewTweet_Button"]');
+  if (!button) return;
+  
+  const testId = button.getAttribute('data-testid');
+  if (testId === 'reply') {
+    const tweet = button.closest('[data-testid="tweet"]');
+    const model = tweet ? extractTweet(tweet) : null;
+    pendingReplyTarget = model && model.id
+      ? { tweetId: model.id, conversationId: model.conversationId, handle: model.author.handle, at: Date.now(), dialog: null }
+      : null;
+  } else if (testId === 'SideNav_NewTweet_Button') {
+    // A new post, not a reply
+    pendingReplyTarget = null;
+  } else if (button.getAttribute('aria-disabled') !== 'true') {
+    recordSubmittedReply(button);
+  }
+}
+
+// Ctrl/Cmd+Enter submits a composer too, as long as its Reply button is
+// enabled; X sends nothing from an empty composer
+function handleReplyShortcut(event) {
+  if (event.key !== 'Enter' || !(event.ctrlKey || event.metaKey)) return;
+  
+  const composer = event.target.closest && event.target.closest('[data-testid^="tweetTextarea_"]');
+  const button = composer && findComposerSubmitButton(composer);
+  if (button && button.getAttribute('aria-disabled') !== 'true' && !button.disabled) {
+    recordSubmittedReply(composer);
+  }
+}
+
+// The Reply button nearest a composer: the dialog's, or the inline composer's
+function findComposerSubmitButton(composer) {
+  for (let current = composer.parentElement; current; current = current.parentElement) {
+    const button = current.querySelector('[data-testid="tweetButton"], [data-testid="tweetButtonInline"]');
+    if (button) return button;
+  }
+  return null;
+}
+
+// Record a submitted composer (the composer or its Reply button). The inline
+// composer on a post page answers the focal tweet; the reply dialog answers
+// the tweet whose reply button opened it, and any other dialog (a quote post,
+// a new post) answers nothing.
+function recordSubmittedReply(element) {
+  const dialog = element.closest('[role="dialog"]');
+  let target = null;
+  if (!dialog) {
+    const focalId = getFocalTweetId();
+    const focal = focalId && Array.from(document.querySelectorAll('[data-testid="tweet"]'), extractTweet)
+      .find(model => model.id === focalId);
+    if (focalId) {
+      target = { tweetId: focalId, conversationId: focal ? focal.conversationId : null };
+    }
+  } else {
+    target = getReplyDialogTarget(dialog);
+  }
+  pendingReplyTarget = null;
+  learnOwnHandle();
+  
+  if (target) {
+    mergeRepliedTweets({
+      [target.tweetId]: {
+        conversationId: target.conversationId && target.conversationId !== target.tweetId ? target.conversationId : null,
+        repliedAt: Date.now()
+      }
+    });
+    saveRepliedTweets();
+    countAnalyticsEvent('replies');
+  }
+}
+
+// Tie the reply target to the dialog its reply button opened, once that
+// dialog shows the tweet being answered, and forget the target when the
+// dialog closes or doesn't open
+function updateReplyDialog() {
+  if (!pendingReplyTarget) return;
+  
+  if (pendingReplyTarget.dialog) {
+    if (!pendingReplyTarget.dialog.isConnected) {
+      pendingReplyTarget = null;
+    }
+    return;
+  }
+  
+  const dialog = Array.from(document.querySelectorAll('[role="dialog"]'))
+    .find(candidate => isReplyDialogFor(candidate, pendingReplyTarget));
+  if (dialog) {
+    pendingReplyTarget.dialog = dialog;
+  } else if (Date.now() - pendingReplyTarget.at > REPLY_DIALOG_WAIT) {
+    pendingReplyTarget = null;
+  }
+}
+
+// The reply dialog shows the tweet it answers, with a link to it, above a
+// "Replying to @handle" line. A quote dialog shows its tweet as a card
+// without either.
+function isReplyDialogFor(dialog, target) {
+  if (!dialog.querySelector('[data-testid^="tweetTextarea_"]')) return false;
+  if (dialog.querySelector(`a[href*="/status/${target.tweetId}"]`)) return true;
+  
+  const replyingTo = extractReplyingTo(dialog);
+  return !!replyingTo && !!target.handle && normalizeHandle(replyingTo) === normalizeHandle(target.handle);
+}
+
+// The reply target, if the dialog is the one its reply button opened
+function getReplyDialogTarget(dialog) {
+  updateReplyDialog();
+  if (!pendingReplyTarget || pendingReplyTarget.dialog !== dialog ||
+      Date.now() - pendingReplyTarget.at >= REPLY_TARGET_TTL) {
+    return null;
+  }
+  return pendingReplyTarget;
+}
+
+function setupReplyDialogObserver() {
+  new MutationObserver(() => {
+    if (pendingReplyTarget) updateReplyDialog();
+  }).observe(document.body, { childList: true, subtree: true });
+}
+
+// Debounced write of the replies, dropping the oldest over the cap
+function saveRepliedTweets() {
+  clearTimeout(repliedTweetsSaveTimer);
+  repliedTweetsSaveTimer = setTimeout(() => {
+    const entries = Object.entries(repliedTweets);
+    if (entries.length > MAX_REPLIED_TWEETS) {
+      repliedTweets = Object.fromEntries(entries.sort((a, b) => b[1].repliedAt - a[1].repliedAt).slice(0, MAX_REPLIED_TWEETS));
+    }
+    
+    try {
+      chrome.storage.local.set({ repliedTweets: repliedTweets });
+    } catch (error) {
+      console.error('Error saving replied tweets:', error);
+    }
+  }, 1000);
+}
+
+// ---------------------------------------------------------------------------
+// Reply templates
+//
+// Reply composers opened for a tweet we have extracted (the reply dialog, or
+// the inline composer on a post page) get a picker listing
+// settings.replyTemplates. Picking one inserts it with {author}, {handle}
+// and {topic} filled in from that tweet's model.
+// ---------------------------------------------------------------------------
+
+let composerScanTimer = null;
+
+// The tweet a composer replies to, if we extracted it. A dialog only has one
+// once it has shown the tweet its reply button was for, so quote and new post
+// dialogs get no picker.
+function getComposerTarget(composer) {
+  let tweetId = null;
+  const dialog = composer.closest('[role="dialog"]');
+  if (dialog) {
+    const target = getReplyDialogTarget(dialog);
+    tweetId = target ? target.tweetId : null;
+  } else {
+    tweetId = getFocalTweetId();
+  }
+  return tweetId ? tweetCache.get(tweetId) || null : null;
+}
+
+// Add a picker to reply composers that don't have one yet
+function addTemplatePickers() {
+  if (settings.replyTemplates.length === 0) return;
+  
+  document.querySelectorAll('[data-testid^="tweetTextarea_"][contenteditable="true"]').forEach(composer => {
+    if (composer.dataset.replyGuyTemplates || !getComposerTarget(composer)) return;
+    
+    // The composer's toolbar (media, emoji, ...) is a few levels up
+    let scope = composer.parentElement;
+    while (scope && !scope.querySelector('[data-testid="toolBar"]')) {
+      scope = scope.parentElement;
+    }
+    if (!scope) return;
+    
+    if (!document.getElementById('reply-guy-styles')) injectFilterStyles();
+    composer.dataset.replyGuyTemplates = 'true';
+    const picker = document.createElement('select');
+    picker.className = 'reply-guy-template-picker';
+    picker.addEventListener('change', function() {
+      const template = settings.replyTemplates[Number(picker.value)];
+      const model = getComposerTarget(composer);
+      picker.selectedIndex = 0;
+      if (template !== undefined && model) {
+        insertIntoComposer(composer, fillTemplate(template, model));
       }
+    });
+    scope.querySelector('[data-testid="toolBar"]').before(picker);
+    fillTemplatePicker(picker);
+  });
+}
+
+function fillTemplatePicker(picker) {
+  picker.textContent = '';
+  picker.add(new Option('Insert template…', ''));
+  settings.replyTemplates.forEach((template, index) => {
+    picker.add(new Option(template.length > 50 ? template.slice(0, 50) + '…' : template, String(index)));
+  });
+}
+
+// Templates were edited in the popup
+function refreshTemplatePickers() {
+  document.querySelectorAll('.reply-guy-template-picker').forEach(picker => {
+    if (settings.replyTemplates.length > 0) {
+      fillTemplatePicker(picker);
+    } else {
+      picker.remove();
+    }
+  });
+  if (settings.replyTemplates.length === 0) {
+    document.querySelectorAll('[data-reply-guy-templates]').forEach(composer => {
+      delete composer.dataset.replyGuyTemplates;
+    });
+  }
+  addTemplatePickers();
+}
+
+// Replace the placeholders; unknown ones are left as typed
+function fillTemplate(template, model) {
+  const handle = model.author.handle ? '@' + model.author.handle.replace(/^@/, '') : '';
+  const values = {
+    author: model.author.displayName || handle,
+    handle: handle,
+    topic: getTweetTopic(model.text)
+  };
+  return template.replace(/\{(author|handle|topic)\}/g, (placeholder, name) => values[name]);
+}
+
+// Common words that are never a tweet's topic
+const TOPIC_STOPWORDS = new Set(['about', 'after', 'again', 'also', 'been', 'before', 'being', 'could', 'every',
+  'everyone', 'everything', 'from', 'have', 'into', 'just', 'like', 'more', 'most', 'much', 'only', 'other',
+  'really', 'same', 'should', 'some', 'than', 'that', 'their', 'them', 'then', 'there', 'these', 'they',
+  'thing', 'things', 'this', 'those', 'through', 'today', 'very', 'what', 'when', 'where', 'which', 'while',
+  'will', 'with', 'would', 'your']);
+
+// A tweet's first hashtag or cashtag, or else its longest meaningful word
+function getTweetTopic(text) {
+  const tag = (text || '').match(/[#$]([A-Za-z]\w*)/);
+  if (tag) return tag[1];
+  
+  const words = ((text || '').match(/[A-Za-z][A-Za-z'-]{3,}/g) || [])
+    .filter(word => !TOPIC_STOPWORDS.has(word.toLowerCase()));
+  return words.reduce((longest, word) => word.length > longest.length ? word : longest, '');
+}
+
+// X's composer is a rich text editor that only notices text inserted as if
+// typed; where insertText isn't supported, hand it the text as a paste
+function insertIntoComposer(composer, text) {
+  composer.focus();
+  if (!document.execCommand('insertText', false, text)) {
+    const data = new DataTransfer();
+    data.setData('text/plain', text);
+    composer.dispatchEvent(new ClipboardEvent('paste', { clipboardData: data, bubbles: true, cancelable: true }));
+  }
+}
+
+// Reply composers open anywhere on x.com
+function setupComposerObserver() {
+  new MutationObserver((mutations) => {
+    if (mutations.some(mutation => mutation.addedNodes.length > 0)) {
+      clearTimeout(composerScanTimer);
+      composerScanTimer = setTimeout(addTemplatePickers, 200);
     }
+  }).observe(document.body, { childList: true, subtree: true });
+}
+
+// ---------------------------------------------------------------------------
+// Reply queue
+//
+// Tweets queued with the "Queue" button are kept in chrome.storage.local, so
+// the queue is shared by every X.com tab and survives reloads. The sidebar
+// lists them in the user's order with their live age, and drops them once
+// they are older than settings.maxAge.
+// ---------------------------------------------------------------------------
+
+const MAX_QUEUED_TWEETS = 50;
+const QUEUE_REFRESH_INTERVAL = 30000;
+let replyQueue = []; // { id, handle, text, url, postedAt, queuedAt }, in the user's order
+let replyQueueTimer = null;
+let replyQueueCollapsed = false;
+
+function loadReplyQueue() {
+  chrome.storage.local.get(['replyQueue'], function(result) {
+    replyQueue = Array.isArray(result.replyQueue) ? result.replyQueue : [];
+    renderReplyQueue();
   });
+}
+
+function saveReplyQueue(queue) {
+  replyQueue = queue;
+  try {
+    chrome.storage.local.set({ replyQueue: queue });
+  } catch (error) {
+    console.error('Error saving reply queue:', error);
+  }
+}
+
+function isTweetQueued(tweetId) {
+  return !!tweetId && replyQueue.some(item => item.id === tweetId);
+}
+
+function toggleQueuedTweet(model) {
+  if (!model.id) return;
   
-  // Now filter all tweets including replies to filtered parents
-  let visibleCount = 0;
-  tweets.forEach(tweet => {
-    // Default to showing the tweet
-    let shouldFilter = false;
-    let filterReason = '';
+  if (isTweetQueued(model.id)) {
+    saveReplyQueue(replyQueue.filter(item => item.id !== model.id));
+  } else {
+    const handle = normalizeHandle(model.author.handle);
+    countAnalyticsEvent('queued');
+    saveReplyQueue(replyQueue.concat({
+      id: model.id,
+      handle: handle,
+      text: model.text ? model.text.slice(0, 140) : '',
+      url: handle ? `/${handle}/status/${model.id}` : `/i/status/${model.id}`,
+      postedAt: model.timestamp ? model.timestamp.getTime() : null,
+      queuedAt: Date.now()
+    }).slice(-MAX_QUEUED_TWEETS));
+  }
+  renderReplyQueue();
+}
+
+function moveQueuedTweet(tweetId, offset) {
+  const index = replyQueue.findIndex(item => item.id === tweetId);
+  const target = index + offset;
+  if (index === -1 || target < 0 || target >= replyQueue.length) return;
+  
+  const queue = replyQueue.slice();
+  [queue[index], queue[target]] = [queue[target], queue[index]];
+  saveReplyQueue(queue);
+  renderReplyQueue();
+}
+
+function removeQueuedTweet(tweetId) {
+  saveReplyQueue(replyQueue.filter(item => item.id !== tweetId));
+  renderReplyQueue();
+}
+
+// Drop tweets older than the maximum age; tweets without a time expire
+// that long after they were queued
+function expireQueuedTweets() {
+  const cutoff = Date.now() - settings.maxAge * 60000;
+  const queue = replyQueue.filter(item => (item.postedAt || item.queuedAt) > cutoff);
+  if (queue.length !== replyQueue.length) {
+    saveReplyQueue(queue);
+  }
+}
+
+function updateQueueButton(controls) {
+  const button = controls.querySelector('[data-action="queue"]');
+  const queued = isTweetQueued(controls.dataset.tweetId);
+  button.hidden = !controls.dataset.tweetId;
+  button.textContent = queued ? 'Queued' : 'Queue';
+  button.classList.toggle('reply-guy-active', queued);
+}
+
+function renderReplyQueue() {
+  expireQueuedTweets();
+  document.querySelectorAll('.reply-guy-author-controls').forEach(updateQueueButton);
+  
+  let panel = document.getElementById('reply-guy-queue');
+  if (!settings.enabled || replyQueue.length === 0) {
+    if (panel) panel.remove();
+    clearInterval(replyQueueTimer);
+    replyQueueTimer = null;
+    return;
+  }
+  
+  if (!panel) {
+    if (!document.getElementById('reply-guy-styles')) injectFilterStyles();
+    panel = createReplyQueuePanel();
+  }
+  panel.classList.toggle('reply-guy-queue-collapsed', replyQueueCollapsed);
+  panel.querySelector('.reply-guy-queue-title').textContent = `Reply queue (${replyQueue.length})`;
+  panel.querySelector('.reply-guy-queue-header button').textContent = replyQueueCollapsed ? '▸' : '▾';
+  
+  const list = panel.querySelector('.reply-guy-queue-list');
+  list.textContent = '';
+  replyQueue.forEach((item, index) => {
+    const entry = document.createElement('div');
+    entry.className = 'reply-guy-queue-entry';
+    
+    const authorLine = document.createElement('div');
+    const author = document.createElement('strong');
+    author.textContent = item.handle ? `@${item.handle}` : shortTweetId(item.id);
+    const age = document.createElement('span');
+    age.className = 'reply-guy-queue-age';
+    age.textContent = item.postedAt ? ` · ${formatDuration((Date.now() - item.postedAt) / 60000)} old` : '';
+    authorLine.append(author, age);
+    
+    const text = document.createElement('div');
+    text.className = 'reply-guy-queue-text';
+    text.textContent = item.text;
+    
+    const actions = document.createElement('div');
+    actions.className = 'reply-guy-queue-actions';
+    const link = document.createElement('a');
+    link.href = item.url;
+    link.textContent = 'Open tweet';
+    actions.appendChild(link);
+    [['up', '↑', 'Move up', index === 0], ['down', '↓', 'Move down', index === replyQueue.length - 1], ['remove', '×', 'Remove', false]]
+      .forEach(([action, label, title, disabled]) => {
+        const button = document.createElement('button');
+        button.dataset.action = action;
+        button.dataset.tweetId = item.id;
+        button.textContent = label;
+        button.title = title;
+        button.disabled = disabled;
+        actions.appendChild(button);
+      });
     
-    // Get tweet ID for tracking
-    const tweetId = getTweetId(tweet);
+    entry.append(authorLine, text, actions);
+    list.appendChild(entry);
+  });
+  
+  // Keep the ages current
+  if (!replyQueueTimer) {
+    replyQueueTimer = setInterval(renderReplyQueue, QUEUE_REFRESH_INTERVAL);
+  }
+}
+
+function createReplyQueuePanel() {
+  const panel = document.createElement('div');
+  panel.id = 'reply-guy-queue';
+  
+  const header = document.createElement('div');
+  header.className = 'reply-guy-queue-header';
+  const title = document.createElement('span');
+  title.className = 'reply-guy-queue-title';
+  const collapseButton = document.createElement('button');
+  collapseButton.title = 'Collapse or expand';
+  header.append(title, collapseButton);
+  header.addEventListener('click', function() {
+    replyQueueCollapsed = !replyQueueCollapsed;
+    renderReplyQueue();
+  });
+  
+  const list = document.createElement('div');
+  list.className = 'reply-guy-queue-list';
+  list.addEventListener('click', function(event) {
+    const button = event.target.closest('button[data-tweet-id]');
+    if (!button) return;
     
-    // Check if we've already decided to filter this specific tweet
-    if (tweetId && allFilteredTweets.has(tweetId)) {
-      shouldFilter = true;
-      filterReason = 'previously_filtered';
+    if (button.dataset.action === 'up') {
+      moveQueuedTweet(button.dataset.tweetId, -1);
+    } else if (button.dataset.action === 'down') {
+      moveQueuedTweet(button.dataset.tweetId, 1);
     } else {
-      // Check if this is a reply to a filtered parent
-      const isReply = isTweetReply(tweet);
-      const conversationId = getTweetConversationId(tweet);
-      
-      if (isReply && ((conversationId && filteredParentIds.has(conversationId)) || isReplyingToFilteredUser(tweet))) {
-        // Filter this reply because its parent is filtered
-        shouldFilter = true;
-        filterReason = 'parent_filtered';
-        
-        // Remember this tweet ID for future filtering
-        if (tweetId) {
-          allFilteredTweets.add(tweetId);
-        }
-      } else {
-        // Check time filter if enabled
-        const timestamp = tweet.querySelector('time');
-        if (timestamp) {
-          try {
-            const tweetTime = parseTweetTime(timestamp);
-            const cutoffTime = new Date(Date.now() - settings.maxAge * 60000);
-
-            if (tweetTime <= cutoffTime) {
-              shouldFilter = true;
-              filterReason = 'time';
-              
-              // If this is a parent tweet, add to filtered parents
-              if (!isReply) {
-                if (tweetId) {
-                  filteredParentIds.add(tweetId);
-                  allFilteredTweets.add(tweetId);
-                }
-                
-                if (conversationId) {
-                  filteredParentIds.add(conversationId);
-                }
-              } else {
-                // Also track replies that are filtered by time
-                if (tweetId) {
-                  allFilteredTweets.add(tweetId);
-                }
-              }
-            }
-          } catch (error) {
-            console.error('Error processing tweet time:', error);
-          }
-        }
+      removeQueuedTweet(button.dataset.tweetId);
+    }
+  });
+  
+  panel.append(header, list);
+  document.body.appendChild(panel);
+  return panel;
+}
 
-        // Check follower count filter if enabled and the tweet is still visible
-        if (!shouldFilter && settings.followerFilterEnabled) {
-          try {
-            const followerCount = parseFollowerCount(tweet);
-            if (followerCount !== null && followerCount < settings.minFollowers) {
-              shouldFilter = true;
-              filterReason = 'followers';
-              
-              // Track this tweet
-              if (tweetId) {
-                allFilteredTweets.add(tweetId);
-              }
-            }
-          } catch (error) {
-            console.error('Error processing follower count:', error);
-          }
-        }
+// ---------------------------------------------------------------------------
+// Filtering history
+//
+// Each page load is an analytics session. Every tweet is counted once, by its
+// first decision (tweets held back until their follower count is known or
+// they are old enough count once decided), and the counts are sent to the
+// service worker, which adds them to the stored history, every few seconds and
+// when the page is hidden.
+// ---------------------------------------------------------------------------
+
+const ANALYTICS_SAVE_DELAY = 10000;
+const analyticsSession = { id: 's' + Date.now().toString(36) + Math.random().toString(36).slice(2, 6), startedAt: Date.now() };
+let pendingAnalytics = createAnalyticsCounts();
+let analyticsCountedIds = new Set();
+let analyticsSaveTimer = null;
+
+function countTweetForAnalytics(model, decision) {
+  if (!model.id || analyticsCountedIds.has(model.id) ||
+      decision.reason === 'followers_pending' || decision.reason === 'too_new') {
+    return;
+  }
+  
+  analyticsCountedIds.add(model.id);
+  if (decision.action === RULE_HIDE) {
+    pendingAnalytics.hidden++;
+    pendingAnalytics.reasons[decision.reason] = (pendingAnalytics.reasons[decision.reason] || 0) + 1;
+  } else {
+    pendingAnalytics.shown++;
+  }
+  scheduleAnalyticsSave();
+}
+
+// 'queued' or 'replies'
+function countAnalyticsEvent(field) {
+  pendingAnalytics[field]++;
+  scheduleAnalyticsSave();
+}
+
+function scheduleAnalyticsSave() {
+  if (!analyticsSaveTimer) {
+    analyticsSaveTimer = setTimeout(saveAnalytics, ANALYTICS_SAVE_DELAY);
+  }
+}
+
+// Add the counts since the last save, under the active profile's name
+function saveAnalytics() {
+  clearTimeout(analyticsSaveTimer);
+  analyticsSaveTimer = null;
+  if (isEmptyAnalyticsCounts(pendingAnalytics)) return;
+  
+  const counts = pendingAnalytics;
+  pendingAnalytics = createAnalyticsCounts();
+  try {
+    // A single message, so it gets out even while the page is unloading
+    chrome.runtime.sendMessage({ type: 'recordAnalytics', session: analyticsSession, counts: counts }, function() {
+      if (chrome.runtime.lastError) {
+        console.error('Error saving filtering history:', chrome.runtime.lastError.message);
       }
+    });
+  } catch (error) {
+    console.error('Error saving filtering history:', error);
+  }
+}
+
+function saveAnalyticsWhenHidden(event) {
+  if (event.type === 'visibilitychange' && document.visibilityState !== 'hidden') return;
+  saveAnalytics();
+}
+
+// ---------------------------------------------------------------------------
+// Seen history
+//
+// A shown tweet counts as seen once at least half of it has stayed in the
+// viewport for settings.seenDwellSeconds. Seen tweet IDs are remembered in
+// chrome.storage.local (capped at MAX_SEEN_TWEETS, oldest dropped first), and
+// tweets seen before the page loaded are hidden.
+// ---------------------------------------------------------------------------
+
+const MAX_SEEN_TWEETS = 10000;
+let seenTweets = {}; // tweet ID -> when it was first seen
+let previouslySeenIds = new Set(); // Seen before this page loaded
+let seenObserver = null;
+let seenDwellTimers = new Map(); // tweet element -> timer until it counts as seen
+let seenTweetsSaveTimer = null;
+
+function loadSeenTweets() {
+  chrome.storage.local.get(['seenTweets'], function(result) {
+    mergeSeenTweets(result.seenTweets);
+    previouslySeenIds = new Set(Object.keys(seenTweets));
+    
+    if (settings.seenFilterEnabled && previouslySeenIds.size > 0 && settings.enabled && isFilteredSurface()) {
+      debouncedFilterTweets();
     }
+  });
+}
 
-    // Apply filtering using CSS class instead of inline styles
-    if (shouldFilter) {
-      tweet.classList.add('reply-guy-filtered-tweet');
-      if (filterReason === 'followers') {
-        statsCounter.hiddenByFollowers++;
-      }
-      statsCounter.hidden++;
-    } else {
-      tweet.classList.remove('reply-guy-filtered-tweet');
-      // Remove from filtered set if it was there
-      if (tweetId) {
-        allFilteredTweets.delete(tweetId);
-      }
-      visibleCount++;
-      statsCounter.shown++;
+// Merge seen tweets saved by this or another tab, keeping the first sighting
+function mergeSeenTweets(entries) {
+  if (!entries || typeof entries !== 'object') return;
+  
+  Object.entries(entries).forEach(([tweetId, seenAt]) => {
+    if (typeof seenAt === 'number' && (!seenTweets[tweetId] || seenAt < seenTweets[tweetId])) {
+      seenTweets[tweetId] = seenAt;
     }
   });
+}
 
-  // Hide the "Show more replies" links for filtered conversations
-  hideShowMoreRepliesLinks();
-
-  // Update the load more button visibility
-  updateLoadMoreButton(visibleCount);
-
-  // Update the on-screen counter
-  updateStatsCounter();
+// The history was cleared from the popup, or updated by another tab
+function handleSeenTweetsChange(entries) {
+  if (entries && Object.keys(entries).length > 0) {
+    mergeSeenTweets(entries);
+    return;
+  }
   
-  // Restore scroll position to prevent unwanted jumping
-  if (!isLoading && Math.abs(window.scrollY - scrollBefore) > 50) {
-    window.scrollTo(0, scrollBefore);
+  seenTweets = {};
+  previouslySeenIds.clear();
+  forgetFilteredTweets(['seen']);
+  if (settings.enabled && isFilteredSurface()) {
+    debouncedFilterTweets();
   }
+}
+
+// Start timing how long a shown tweet stays in view
+function watchSeenTweet(tweet) {
+  if (!settings.seenFilterEnabled || typeof IntersectionObserver === 'undefined') return;
   
-  // Update our saved scroll position
-  lastScrollPosition = window.scrollY;
+  if (!seenObserver) {
+    seenObserver = new IntersectionObserver(handleSeenIntersections, { threshold: 0.5 });
+  }
+  seenObserver.observe(tweet);
 }
 
-function updateLoadMoreButton(visibleCount) {
-  const loadMoreBtn = document.getElementById('reply-guy-load-more');
-  if (loadMoreBtn) {
-    if (visibleCount < 10) {
-      loadMoreBtn.style.display = 'block';
-      loadMoreBtn.textContent = `Load More (${visibleCount} visible)`;
+function handleSeenIntersections(entries) {
+  entries.forEach(entry => {
+    const tweet = entry.target;
+    if (entry.isIntersecting) {
+      if (seenDwellTimers.has(tweet)) return;
+      seenDwellTimers.set(tweet, setTimeout(() => {
+        seenDwellTimers.delete(tweet);
+        markTweetSeen(tweet);
+      }, settings.seenDwellSeconds * 1000));
     } else {
-      loadMoreBtn.style.display = 'none';
+      // Scrolled away, hidden by a filter, or removed by X
+      clearTimeout(seenDwellTimers.get(tweet));
+      seenDwellTimers.delete(tweet);
     }
-  }
+  });
 }
 
-function addLoadMoreButton() {
-  removeLoadMoreButton(); // Remove any existing button
-  
-  const loadMoreBtn = document.createElement('button');
-  loadMoreBtn.id = 'reply-guy-load-more';
-  loadMoreBtn.textContent = 'Load More Tweets';
-  loadMoreBtn.style = `
-    position: fixed;
-    bottom: 70px;
-    right: 20px;
-    background: #1D9BF0;
-    color: white;
-    padding: 10px 15px;
-    border-radius: 20px;
-    z-index: 9999;
-    font-family: -apple-system, BlinkMacSystemFont, "Segoe UI", Roboto, Helvetica, Arial, sans-serif;
-    font-weight: bold;
-    font-size: 14px;
-    border: none;
-    box-shadow: 0 2px 10px rgba(0, 0, 0, 0.2);
-    cursor: pointer;
-    display: none;
-  `;
+function markTweetSeen(tweet) {
+  if (seenObserver) seenObserver.unobserve(tweet);
   
-  loadMoreBtn.addEventListener('click', function() {
-    loadMoreTweets();
-  });
+  const tweetId = getTweetId(tweet);
+  if (!tweetId || seenTweets[tweetId] || tweet.classList.contains('reply-guy-filtered-tweet')) return;
   
-  document.body.appendChild(loadMoreBtn);
+  seenTweets[tweetId] = Date.now();
+  saveSeenTweets();
 }
 
-function removeLoadMoreButton() {
-  const loadMoreBtn = document.getElementById('reply-guy-load-more');
-  if (loadMoreBtn) {
-    loadMoreBtn.remove();
+function stopWatchingSeenTweets() {
+  if (seenObserver) {
+    seenObserver.disconnect();
+    seenObserver = null;
   }
+  seenDwellTimers.forEach(timer => clearTimeout(timer));
+  seenDwellTimers.clear();
 }
 
-function loadMoreTweets() {
-  if (isLoading || !isForYouFeed()) return;
-  
-  isLoading = true;
-  const loadMoreBtn = document.getElementById('reply-guy-load-more');
-  if (loadMoreBtn) {
-    loadMoreBtn.textContent = 'Loading...';
-    loadMoreBtn.disabled = true;
-  }
-  
-  // Capture current scroll position - this is an intentional user action
-  lastScrollPosition = window.scrollY;
-  
-  // Record the current count of tweets
-  const tweetCountBefore = document.querySelectorAll('[data-testid="tweet"]').length;
-  
-  // Manually load content by scrolling slightly
-  const targetScroll = window.scrollY + (window.innerHeight * 0.75);
-  window.scrollTo({
-    top: targetScroll
-  });
-  
-  // Set a timeout to check if new tweets loaded
-  setTimeout(() => {
-    const tweetCountAfter = document.querySelectorAll('[data-testid="tweet"]').length;
+// Debounced write of the history, dropping the oldest entries over the cap
+function saveSeenTweets() {
+  clearTimeout(seenTweetsSaveTimer);
+  seenTweetsSaveTimer = setTimeout(() => {
+    const entries = Object.entries(seenTweets);
+    if (entries.length > MAX_SEEN_TWEETS) {
+      seenTweets = Object.fromEntries(entries.sort((a, b) => b[1] - a[1]).slice(0, MAX_SEEN_TWEETS));
+    }
     
-    // If no new tweets loaded, scroll a bit more
-    if (tweetCountAfter <= tweetCountBefore) {
-      window.scrollTo({
-        top: window.scrollY + (window.innerHeight * 0.5)
-      });
-      
-      // Check again after a short delay
-      setTimeout(() => {
-        // Now restore position and filter
-        window.scrollTo({
-          top: lastScrollPosition
-        });
-        
-        setTimeout(() => {
-          filterTweets();
-          isLoading = false;
-          
-          if (loadMoreBtn) {
-            loadMoreBtn.disabled = false;
-            loadMoreBtn.textContent = 'Load More Tweets';
-          }
-        }, 300);
-      }, 1000);
-    } else {
-      // Restore position and filter
-      window.scrollTo({
-        top: lastScrollPosition
-      });
-      
-      setTimeout(() => {
-        filterTweets();
-        isLoading = false;
-        
-        if (loadMoreBtn) {
-          loadMoreBtn.disabled = false;
-          loadMoreBtn.textContent = 'Load More Tweets';
-        }
-      }, 300);
+    try {
+      chrome.storage.local.set({ seenTweets: seenTweets });
+    } catch (error) {
+      console.error('Error saving seen tweets:', error);
     }
-  }, 1500);
+  }, 1000);
 }
 
-function showAllTweets() {
-  // Show all tweets when filter is disabled
-  const tweets = document.querySelectorAll('[data-testid="tweet"]');
-  tweets.forEach(tweet => {
-    tweet.classList.remove('reply-guy-filtered-tweet');
+// ---------------------------------------------------------------------------
+// Author profile cache
+//
+// Author data comes from X's own API responses, which network-hook.js reads
+// page-side and posts to us, so it's usually known before a tweet renders.
+// Follower counts in profile headers and hover cards are picked up as well.
+// Everything is remembered per handle in chrome.storage.local for
+// settings.authorCacheTtl hours.
+// ---------------------------------------------------------------------------
+
+const MAX_CACHED_AUTHORS = 5000;
+let authorCache = {}; // lowercase handle -> { followers, verified, createdAt, updatedAt }
+let authorCacheSaveTimer = null;
+let profileScanTimer = null;
+
+function loadAuthorCache() {
+  chrome.storage.local.get(['authorCache'], function(result) {
+    mergeAuthorCache(result.authorCache);
   });
+}
+
+// Merge cache entries saved by this or another tab, keeping the newest
+function mergeAuthorCache(entries) {
+  if (!entries || typeof entries !== 'object') return;
   
-  removeLoadMoreButton();
+  let learnedNewAuthor = false;
+  Object.entries(entries).forEach(([handle, entry]) => {
+    const existing = authorCache[handle];
+    if (!existing || existing.updatedAt < entry.updatedAt) {
+      if (!isAuthorEntryFresh(existing) && isAuthorEntryFresh(entry)) {
+        learnedNewAuthor = true;
+      }
+      authorCache[handle] = entry;
+    }
+  });
+  
+  if (learnedNewAuthor) {
+    refilterPendingTweets();
+  }
 }
 
-function parseTweetTime(timeElement) {
-  // Use datetime attribute if available (most reliable)
-  const dateTimeAttr = timeElement.getAttribute('datetime');
-  if (dateTimeAttr) return new Date(dateTimeAttr);
+function isAuthorEntryFresh(entry) {
+  return !!entry && Date.now() - entry.updatedAt < settings.authorCacheTtl * 3600000;
+}
 
-  // Fallback to parsing text content
-  const timeText = timeElement.textContent.trim().toLowerCase();
-  const now = new Date();
+// Cached author data for a handle, or null if unknown or expired
+function getCachedAuthor(handle) {
+  const entry = authorCache[normalizeHandle(handle)];
+  return isAuthorEntryFresh(entry) ? entry : null;
+}
 
-  if (timeText.includes('now') || timeText.includes('just now')) {
-    return now;
-  } else if (timeText.includes('m')) {
-    const minutes = parseInt(timeText);
-    return new Date(now - minutes * 60000);
-  } else if (timeText.includes('h')) {
-    const hours = parseInt(timeText);
-    return new Date(now - hours * 3600000);
-  } else if (timeText.includes('d')) {
-    const days = parseInt(timeText);
-    return new Date(now - days * 86400000);
-  } else if (timeText.includes('s')) {
-    const seconds = parseInt(timeText);
-    return new Date(now - seconds * 1000);
-  } else {
-    // Try to parse as absolute date
+// Follower count for a handle, or null if unknown or expired
+function getCachedFollowerCount(handle) {
+  const entry = getCachedAuthor(handle);
+  return entry ? entry.followers : null;
+}
+
+// Record author data ({ followers, verified, createdAt }) keyed by handle and persist it
+function updateAuthorCache(authors) {
+  const now = Date.now();
+  let changed = false;
+  let learnedNewAuthor = false;
+  
+  Object.entries(authors).forEach(([handle, author]) => {
+    const key = normalizeHandle(handle);
+    const existing = authorCache[key];
+    if (!key || (isAuthorEntryFresh(existing) && existing.followers === author.followers &&
+        (author.verified === undefined || existing.verified === author.verified))) return;
+    
+    if (!isAuthorEntryFresh(existing)) {
+      learnedNewAuthor = true;
+    }
+    authorCache[key] = {
+      followers: author.followers,
+      // Profile headers and hover cards only tell us the follower count
+      verified: author.verified !== undefined ? author.verified : (existing ? existing.verified : null),
+      createdAt: author.createdAt !== undefined ? author.createdAt : (existing ? existing.createdAt : null),
+      updatedAt: now
+    };
+    changed = true;
+  });
+  
+  if (changed) {
+    saveAuthorCache();
+  }
+  if (learnedNewAuthor) {
+    refilterPendingTweets();
+  }
+}
+
+// Debounced write of the cache, dropping expired and excess entries
+function saveAuthorCache() {
+  clearTimeout(authorCacheSaveTimer);
+  authorCacheSaveTimer = setTimeout(() => {
+    const entries = Object.entries(authorCache)
+      .filter(([, entry]) => isAuthorEntryFresh(entry))
+      .sort((a, b) => b[1].updatedAt - a[1].updatedAt)
+      .slice(0, MAX_CACHED_AUTHORS);
+    
+    authorCache = Object.fromEntries(entries);
+    
     try {
-      const parsedDate = new Date(timeText);
-      if (!isNaN(parsedDate.getTime())) {
-        return parsedDate;
-      }
-    } catch (e) {
-      // Parsing failed, assume it's old
+      chrome.storage.local.set({ authorCache: authorCache });
+    } catch (error) {
+      console.error('Error saving author cache:', error);
     }
-    return new Date(0); // Very old date as fallback
+  }, 1000);
+}
+
+// Re-run the filter when tweets were waiting on a follower count
+function refilterPendingTweets() {
+  if (settings.enabled && getSurfaceSetting('followerFilterEnabled') && isFilteredSurface() &&
+      document.querySelector('[data-reply-guy-followers="pending"]')) {
+    debouncedFilterTweets();
   }
 }
 
-function parseFollowerCount(tweetElement) {
-  try {
-    // First get the link to the profile
-    const profileLink = tweetElement.querySelector('a[role="link"][href^="/"]');
-    if (!profileLink) return null;
-
-    // Extract the username from the href attribute
-    const username = profileLink.getAttribute('href').replace(/^\//, '').split('/')[0];
-    if (!username) return null;
-
-    // Check if we've already loaded the profile
-    const existingProfileData = document.querySelector(`[data-testid="UserProfileHeader_Items_${username}"]`);
-    if (existingProfileData) {
-      return extractFollowerCountFromText(existingProfileData.textContent);
-    }
-
-    // If we can't find the profile data directly, we'll have to fetch it by opening a popup
-    // Attempt to find the follower count from hover card popup (appears on profile hover)
-    const hoverCard = document.querySelector('[data-testid="HoverCard"]');
-    if (hoverCard) {
-      const followerText = Array.from(hoverCard.querySelectorAll('span')).find(span => 
-        span.textContent && span.textContent.includes('Followers'));
-      
-      if (followerText) {
-        return extractFollowerCountFromText(followerText.textContent);
+// Author data read from X's API responses by network-hook.js, received
+// through network-bridge.js
+function handleNetworkMessage(message) {
+  if (!message) return;
+  
+  if (message.type === 'authors' && Array.isArray(message.authors)) {
+    const authors = {};
+    message.authors.forEach(author => {
+      if (author && typeof author.handle === 'string' && typeof author.followers === 'number') {
+        authors[author.handle] = {
+          followers: author.followers,
+          verified: author.verified === true,
+          createdAt: typeof author.createdAt === 'string' ? author.createdAt : null
+        };
       }
+    });
+    updateAuthorCache(authors);
+  }
+}
+
+// Watch every x.com page for profile headers and hover cards
+function setupProfileObserver() {
+  scanForFollowerCounts();
+  
+  new MutationObserver((mutations) => {
+    if (mutations.some(mutation => mutation.addedNodes.length > 0)) {
+      clearTimeout(profileScanTimer);
+      profileScanTimer = setTimeout(scanForFollowerCounts, 300);
     }
+  }).observe(document.body, { childList: true, subtree: true });
+}
 
-    // If all else fails, we can't determine the follower count
-    return null;
+// Profile headers and hover cards both link to /<handle>/followers (or
+// /<handle>/verified_followers) with the follower count as the link text
+function scanForFollowerCounts() {
+  const followerCounts = {};
+  
+  try {
+    const links = document.querySelectorAll('a[href$="/followers"], a[href$="/verified_followers"]');
+    links.forEach(link => {
+      const handle = link.getAttribute('href').split('/')[1];
+      const count = extractFollowerCountFromText(link.textContent);
+      if (handle && count !== null) {
+        followerCounts[handle] = { followers: count };
+      }
+    });
   } catch (error) {
-    console.error('Error parsing follower count:', error);
-    return null;
+    console.error('Error scanning for follower counts:', error);
+  }
+  
+  if (Object.keys(followerCounts).length > 0) {
+    updateAuthorCache(followerCounts);
   }
 }
 
@@ -978,19 +3112,11 @@ function extractFollowerCountFromText(text) {
   if (!text) return null;
   
   try {
-    // Match patterns like "1.2K Followers", "12M Followers", "123 Followers"
-    const followerMatch = text.match(/(\d+(?:\.\d+)?)\s*([KkMmBb]?)\s*(?:Follower|Followers)/);
+    // Match patterns like "1.2K Followers", "12M Followers", "1,234 Followers"
+    const followerMatch = text.replace(/,/g, '').match(/(\d+(?:\.\d+)?)\s*([KkMmBb]?)\s*(?:Follower|Followers)/);
     
     if (followerMatch) {
-      let count = parseFloat(followerMatch[1]);
-      const multiplier = followerMatch[2].toLowerCase();
-      
-      // Apply multiplier based on suffix (K, M, B)
-      if (multiplier === 'k') count *= 1000;
-      else if (multiplier === 'm') count *= 1000000;
-      else if (multiplier === 'b') count *= 1000000000;
-      
-      return Math.floor(count);
+      return applyCountSuffix(parseFloat(followerMatch[1]), followerMatch[2]);
     }
     
     return null;
@@ -1000,12 +3126,34 @@ function extractFollowerCountFromText(text) {
   }
 }
 
+// Parse counts like "1,234", "1.2K" or "12M" into a number
+function parseCompactCount(text) {
+  if (!text) return null;
+  
+  const match = text.replace(/,/g, '').match(/(\d+(?:\.\d+)?)\s*([KkMmBb]?)/);
+  if (!match) return null;
+  
+  return applyCountSuffix(parseFloat(match[1]), match[2]);
+}
+
+function applyCountSuffix(count, suffix) {
+  const multiplier = (suffix || '').toLowerCase();
+  
+  // Apply multiplier based on suffix (K, M, B)
+  if (multiplier === 'k') count *= 1000;
+  else if (multiplier === 'm') count *= 1000000;
+  else if (multiplier === 'b') count *= 1000000000;
+  
+  return Math.floor(count);
+}
+
 function addStatsCounter() {
   // Remove any existing counter first
   removeStatsCounter();
   
   const counterDiv = document.createElement('div');
   counterDiv.id = 'reply-guy-counter';
+  counterDiv.title = 'Click to see why tweets were hidden';
   counterDiv.style = `
     position: fixed;
     bottom: 20px;
@@ -1019,7 +3167,9 @@ function addStatsCounter() {
     font-weight: bold;
     font-size: 14px;
     box-shadow: 0 2px 10px rgba(0, 0, 0, 0.2);
+    cursor: pointer;
   `;
+  counterDiv.addEventListener('click', toggleInspector);
   document.body.appendChild(counterDiv);
   updateStatsCounter();
 }
@@ -1027,15 +3177,33 @@ function addStatsCounter() {
 function updateStatsCounter() {
   const counterElement = document.getElementById('reply-guy-counter');
   if (counterElement) {
+    const surface = getCurrentSurface();
     let counterText = `Shown: ${statsCounter.shown} | Hidden: ${statsCounter.hidden}`;
     
+    // Say which surface's settings are in use
+    if (surface) {
+      counterText = `${SURFACE_LABELS[surface]} · ${counterText}`;
+    }
+    
     // Add follower filter stats if enabled
-    if (settings.followerFilterEnabled) {
-      counterText += ` (${statsCounter.hiddenByFollowers} by followers)`;
+    if (getSurfaceSetting('followerFilterEnabled')) {
+      counterText += ` (${statsCounter.hiddenByFollowers} by followers, ${statsCounter.unknownFollowers} unknown)`;
+    }
+    
+    // Add mute filter stats if enabled
+    if (settings.muteFilterEnabled) {
+      counterText += ` (${statsCounter.hiddenByKeywords} by keywords)`;
+    }
+    
+    // Add engagement filter stats if enabled
+    if (settings.engagementFilterEnabled) {
+      counterText += ` (${statsCounter.hiddenByEngagement} by engagement)`;
     }
     
     counterElement.textContent = counterText;
   }
+  
+  renderInspector();
 }
 
 function removeStatsCounter() {
@@ -1043,15 +3211,68 @@ function removeStatsCounter() {
   if (counterDiv) {
     counterDiv.remove();
   }
+  removeInspector();
+}
+
+// Briefly show which profile is now active
+function showProfileToast(name) {
+  let toast = document.getElementById('reply-guy-profile-toast');
+  if (!toast) {
+    toast = document.createElement('div');
+    toast.id = 'reply-guy-profile-toast';
+    toast.style = `
+      position: fixed;
+      top: 20px;
+      left: 50%;
+      transform: translateX(-50%);
+      background: #1D9BF0;
+      color: white;
+      padding: 8px 16px;
+      border-radius: 20px;
+      z-index: 10001;
+      font-family: -apple-system, BlinkMacSystemFont, "Segoe UI", Roboto, Helvetica, Arial, sans-serif;
+      font-weight: bold;
+      font-size: 14px;
+      box-shadow: 0 2px 10px rgba(0, 0, 0, 0.2);
+    `;
+    document.body.appendChild(toast);
+  }
+  
+  toast.textContent = `Profile: ${name}`;
+  clearTimeout(toast.hideTimer);
+  toast.hideTimer = setTimeout(() => toast.remove(), 2000);
 }
 
-// Handle URL changes for SPA navigation
+// Answer the popup's questions about the current page
+chrome.runtime.onMessage.addListener(function(message, sender, sendResponse) {
+  if (message && message.type === 'getStats') {
+    sendResponse({ active: settings.enabled && isFilteredSurface(), surface: getCurrentSurface(), stats: statsCounter });
+  } else if (message && message.type === 'getDecisionLog') {
+    sendResponse({ entries: Array.from(filterDecisions.values()) });
+  } else if (message && message.type === 'profileSwitched') {
+    // Sent by the service worker for the profile shortcut. The new settings
+    // arrive through chrome.storage.onChanged like any other settings change.
+    showProfileToast(message.name);
+  }
+});
+
+// Handle URL changes for SPA navigation, and tab switches between the
+// For you and Following timelines, which keep the URL
 let lastUrl = location.href;
+let lastSurface = getCurrentSurface();
 new MutationObserver(() => {
   const url = location.href;
-  if (url !== lastUrl) {
+  const surface = getCurrentSurface();
+  if (url !== lastUrl || surface !== lastSurface) {
     lastUrl = url;
     
+    // Each surface has its own settings, and each post page its own thread,
+    // so earlier decisions don't carry over
+    if (surface !== lastSurface || surface === 'thread') {
+      lastSurface = surface;
+      resetFilterState();
+    }
+    
     // Stop any pending operations
     isLoading = false;
     clearTimeout(filterDebounceTimer);
@@ -1064,10 +3285,10 @@ new MutationObserver(() => {
     
     // Check if we need to reinitialize
     setTimeout(() => {
-      if (isForYouFeed() && settings.enabled) {
+      if (isFilteredSurface() && settings.enabled) {
         initializeFilter();
       } else {
-        // Clean up if we're not on the For You feed
+        // Clean up if we're not on a filtered surface
         removeStatsCounter();
         removeLoadMoreButton();
       }
@@ -1100,19 +3321,37 @@ function preventAutoScroll() {
 }
 
 // Initial setup
+loadAuthorCache();
+loadLastVisit();
+loadSeenTweets();
+loadRepliedTweets();
+document.addEventListener('click', handleReplyClick, true);
+document.addEventListener('keydown', handleReplyShortcut, true);
+document.addEventListener('visibilitychange', recordVisit);
+window.addEventListener('pagehide', recordVisit);
+document.addEventListener('visibilitychange', saveAnalyticsWhenHidden);
+window.addEventListener('pagehide', saveAnalyticsWhenHidden);
+onNetworkMessage(handleNetworkMessage);
+
 if (document.readyState === 'loading') {
   document.addEventListener('DOMContentLoaded', () => {
     preventAutoScroll();
+    setupProfileObserver();
+    setupComposerObserver();
+    setupReplyDialogObserver();
     setTimeout(() => {
-      if (isForYouFeed() && settings.enabled) {
+      if (isFilteredSurface() && settings.enabled) {
         initializeFilter();
       }
     }, 1000);
   });
 } else {
   preventAutoScroll();
+  setupProfileObserver();
+  setupComposerObserver();
+  setupReplyDialogObserver();
   setTimeout(() => {
-    if (isForYouFeed() && settings.enabled) {
+    if (isFilteredSurface() && settings.enabled) {
       initializeFilter();
     }
   }, 1000);
@@ -1131,19 +3370,13 @@ function hideShowMoreRepliesLinks() {
       (linkText.includes('show') && linkText.includes('more') && linkText.includes('repl')) || 
       (linkText.includes('view') && linkText.includes('more') && linkText.includes('repl'))
     ) {
-      // Check if this link is part of a filtered conversation
+      // Check if this link is part of a filtered conversation, which may
+      // have been shown since (e.g. its tweet was shown anyway)
       const closestTweet = findClosestTweet(link);
       if (closestTweet) {
-        const conversationId = getTweetConversationId(closestTweet);
-        if (conversationId && filteredParentIds.has(conversationId)) {
-          // This "Show more replies" link belongs to a filtered conversation
-          const linkContainer = findLinkContainer(link);
-          if (linkContainer) {
-            linkContainer.classList.add('reply-guy-filtered-tweet');
-          } else {
-            link.classList.add('reply-guy-filtered-tweet');
-          }
-        }
+        const filtered = isInFilteredConversation(extractTweet(closestTweet));
+        const linkContainer = findLinkContainer(link);
+        (linkContainer || link).classList.toggle('reply-guy-filtered-tweet', filtered);
       }
     }
   });
@@ -1160,42 +3393,36 @@ function hideShowMoreRepliesLinks() {
       // Check if this is part of a filtered conversation
       const closestTweet = findClosestTweet(element);
       if (closestTweet) {
-        const conversationId = getTweetConversationId(closestTweet);
-        if (conversationId && filteredParentIds.has(conversationId)) {
-          element.classList.add('reply-guy-filtered-tweet');
-        }
+        element.classList.toggle('reply-guy-filtered-tweet', isInFilteredConversation(extractTweet(closestTweet)));
       }
     }
   });
 }
 
+// Whether a tweet belongs to a conversation being filtered: its conversation
+// is a filtered parent, or it was hidden along with its parent
+function isInFilteredConversation(model) {
+  return (!!model.conversationId && filteredParentIds.has(model.conversationId)) ||
+    (!!model.id && filteredTweetReasons.get(model.id) === 'parent_filtered');
+}
+
 // Helper function to find the closest tweet to an element
 function findClosestTweet(element) {
-  // Try to find the closest tweet container
-  let current = element;
-  while (current && current !== document.body) {
-    // Check if current element is a tweet
-    if (current.getAttribute('data-testid') === 'tweet') {
-      return current;
-    }
-    
-    // Check if current element contains a tweet
-    const tweet = current.querySelector('[data-testid="tweet"]');
-    if (tweet) {
-      return tweet;
-    }
-    
-    current = current.parentElement;
+  // The tweet the element is in, or the tweet in its own cell
+  const ownTweet = element.closest('[data-testid="tweet"]') || element.querySelector('[data-testid="tweet"]');
+  if (ownTweet) {
+    return ownTweet;
   }
   
-  // If we couldn't find a direct parent/ancestor tweet, 
-  // look for the closest tweet above this element
-  let previousElement = element.previousElementSibling;
+  // Otherwise the last tweet in the cells above, like the replies a "Show
+  // more replies" cell follows. Searching ancestors instead would find the
+  // first tweet of the whole timeline.
+  let previousElement = (element.closest('[data-testid="cellInnerDiv"]') || element).previousElementSibling;
   while (previousElement) {
-    if (previousElement.getAttribute('data-testid') === 'tweet' || 
-        previousElement.querySelector('[data-testid="tweet"]')) {
-      return previousElement.getAttribute('data-testid') === 'tweet' ? 
-        previousElement : previousElement.querySelector('[data-testid="tweet"]');
+    const tweets = previousElement.getAttribute('data-testid') === 'tweet' ?
+      [previousElement] : previousElement.querySelectorAll('[data-testid="tweet"]');
+    if (tweets.length > 0) {
+      return tweets[tweets.length - 1];
     }
     previousElement = previousElement.previousElementSibling;
   }
@@ -1225,30 +3452,10 @@ function findLinkContainer(link) {
 function preScanForTweetsToFilter() {
   // Look for tweets older than the threshold
   const tweets = document.querySelectorAll('[data-testid="tweet"]');
-  const cutoffTime = new Date(Date.now() - settings.maxAge * 60000);
+  updateThreadContext();
   
   tweets.forEach(tweet => {
-    const timestamp = tweet.querySelector('time');
-    if (timestamp) {
-      try {
-        const tweetTime = parseTweetTime(timestamp);
-        if (tweetTime <= cutoffTime) {
-          // This is an old tweet - track its ID and conversation ID
-          const tweetId = getTweetId(tweet);
-          const conversationId = getTweetConversationId(tweet);
-          
-          if (tweetId) {
-            filteredParentIds.add(tweetId);
-            allFilteredTweets.add(tweetId);
-          }
-          
-          if (conversationId) {
-            filteredParentIds.add(conversationId);
-          }
-        }
-      } catch (error) {
-        console.error('Error processing tweet time during pre-scan:', error);
-      }
-    }
+    // An old tweet - track its ID and conversation ID
+    markParentIfTooOld(extractTweet(tweet));
   });
 } 
\ No newline at end of file
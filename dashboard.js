@@ -0,0 +1,329 @@
+/**
+ * Reply Guy - Chrome Extension
+ * Analytics dashboard for the filtering history recorded by content.js
+ * Features:
+ * - Date ranges: the last 7, 30 or 90 days, all history, or custom dates
+ * - Totals for the range: tweets shown and hidden, hide rate, tweets queued,
+ *   replies sent and sessions
+ * - Canvas charts of shown and hidden tweets per day, hidden tweets by reason,
+ *   and tweets queued and replies sent per day
+ * - Per-profile and per-session tables to compare filter settings
+ * - Updates live while X.com tabs record, and can clear the history
+ */
+
+document.addEventListener('DOMContentLoaded', function() {
+  const rangeSelect = document.getElementById('range');
+  const rangeFromInput = document.getElementById('rangeFrom');
+  const rangeToInput = document.getElementById('rangeTo');
+  const summaryElement = document.getElementById('summary');
+  const tweetsChart = document.getElementById('tweetsChart');
+  const reasonsChart = document.getElementById('reasonsChart');
+  const engagementChart = document.getElementById('engagementChart');
+  const profileTable = document.getElementById('profileTable');
+  const sessionTable = document.getElementById('sessionTable');
+  const MAX_SESSION_ROWS = 50;
+  const COLORS = { shown: '#1D9BF0', hidden: '#CFD9DE', queued: '#FFD400', replies: '#00BA7C', reason: '#F4212E' };
+  let analytics = { days: {}, sessions: [] };
+
+  rangeSelect.addEventListener('change', function() {
+    fillRangeInputs();
+    render();
+  });
+
+  // Editing a date switches to a custom range
+  [rangeFromInput, rangeToInput].forEach(input => {
+    input.addEventListener('change', function() {
+      rangeSelect.value = 'custom';
+      render();
+    });
+  });
+
+  document.getElementById('clearHistory').addEventListener('click', function() {
+    if (confirm('Clear the whole filtering history?')) {
+      // Through the service worker, so it isn't undone by a tab's write in progress
+      chrome.runtime.sendMessage({ type: 'clearAnalytics' }, loadAnalytics);
+    }
+  });
+
+  chrome.storage.onChanged.addListener(function(changes, area) {
+    if (area === 'local' && changes.analytics) {
+      loadAnalytics();
+    }
+  });
+
+  window.addEventListener('resize', render);
+
+  loadAnalytics();
+
+  function loadAnalytics() {
+    readAnalytics(function(stored) {
+      analytics = stored;
+      if (rangeSelect.value !== 'custom') fillRangeInputs();
+      render();
+    });
+  }
+
+  // Put the chosen preset's dates into the date inputs
+  function fillRangeInputs() {
+    if (rangeSelect.value === 'custom') return;
+
+    const today = getAnalyticsDayKey(Date.now());
+    let from = today;
+    if (rangeSelect.value === 'all') {
+      from = Object.keys(analytics.days).sort()[0] || today;
+    } else {
+      const start = new Date();
+      start.setDate(start.getDate() - Number(rangeSelect.value) + 1);
+      from = getAnalyticsDayKey(start);
+    }
+    rangeFromInput.value = from;
+    rangeToInput.value = today;
+  }
+
+  // Every day key of the range in order, up to the last MAX_ANALYTICS_DAYS
+  function getRangeDays() {
+    let from = rangeFromInput.value;
+    let to = rangeToInput.value;
+    if (!from || !to) return [];
+    if (from > to) [from, to] = [to, from];
+
+    const days = [];
+    const [year, month, day] = to.split('-').map(Number);
+    const date = new Date(year, month - 1, day);
+    while (getAnalyticsDayKey(date) >= from && days.length < MAX_ANALYTICS_DAYS) {
+      days.unshift(getAnalyticsDayKey(date));
+      date.setDate(date.getDate() - 1);
+    }
+    return days;
+  }
+
+  function render() {
+    const days = getRangeDays();
+    const records = days.map(day => analytics.days[day] || createAnalyticsCounts());
+    const totals = records.reduce((sum, record) => addAnalyticsCounts(sum, record), createAnalyticsCounts());
+    const sessionCount = records.reduce((sum, record) => sum + (record.sessions || 0), 0);
+
+    // Sessions active on any day of the range
+    const sessions = days.length === 0 ? [] : analytics.sessions.filter(session =>
+      getAnalyticsDayKey(session.updatedAt || session.startedAt) >= days[0] &&
+      getAnalyticsDayKey(session.startedAt) <= days[days.length - 1]);
+
+    renderSummary(totals, sessionCount);
+
+    const labels = days.map(day => day.slice(5));
+    drawBarChart(tweetsChart, labels, [
+      { name: 'Shown', color: COLORS.shown, values: records.map(record => record.shown || 0) },
+      { name: 'Hidden', color: COLORS.hidden, values: records.map(record => record.hidden || 0) }
+    ], true);
+    drawHorizontalBarChart(reasonsChart, Object.keys(totals.reasons)
+      .map(reason => ({ label: describeFilterReason(reason), value: totals.reasons[reason] }))
+      .sort((a, b) => b.value - a.value));
+    drawBarChart(engagementChart, labels, [
+      { name: 'Queued', color: COLORS.queued, values: records.map(record => record.queued || 0) },
+      { name: 'Replies', color: COLORS.replies, values: records.map(record => record.replies || 0) }
+    ], false);
+
+    renderProfileTable(sessions);
+    renderSessionTable(sessions);
+  }
+
+  function renderSummary(totals, sessionCount) {
+    const seen = totals.shown + totals.hidden;
+    const items = [
+      [totals.shown, 'shown'],
+      [totals.hidden, 'hidden'],
+      [seen > 0 ? Math.round(totals.hidden / seen * 100) + '%' : '-', 'hide rate'],
+      [totals.queued, 'queued'],
+      [totals.replies, 'replies'],
+      [sessionCount, 'sessions']
+    ];
+
+    summaryElement.textContent = '';
+    items.forEach(([value, label]) => {
+      const item = document.createElement('div');
+      const strong = document.createElement('strong');
+      strong.textContent = typeof value === 'number' ? value.toLocaleString() : value;
+      const span = document.createElement('span');
+      span.textContent = label;
+      item.append(strong, span);
+      summaryElement.appendChild(item);
+    });
+  }
+
+  // Totals per profile name across the sessions, busiest first
+  function renderProfileTable(sessions) {
+    const profiles = {};
+    sessions.forEach(session => {
+      Object.keys(session.byProfile || {}).forEach(name => {
+        const entry = profiles[name] || (profiles[name] = { counts: createAnalyticsCounts(), sessions: 0 });
+        addAnalyticsCounts(entry.counts, session.byProfile[name]);
+        entry.sessions++;
+      });
+    });
+
+    const rows = Object.keys(profiles)
+      .sort((a, b) => profiles[b].counts.shown - profiles[a].counts.shown)
+      .map(name => {
+        const counts = profiles[name].counts;
+        const seen = counts.shown + counts.hidden;
+        return [name, profiles[name].sessions, counts.shown, counts.hidden,
+          seen > 0 ? Math.round(counts.hidden / seen * 100) + '%' : '-', counts.queued, counts.replies,
+          counts.shown > 0 ? (counts.replies / counts.shown * 100).toFixed(1) : '-'];
+      });
+    fillTable(profileTable, ['Profile', 'Sessions', 'Shown', 'Hidden', 'Hide rate', 'Queued', 'Replies', 'Replies per 100 shown'], rows);
+  }
+
+  // Latest sessions first
+  function renderSessionTable(sessions) {
+    const rows = sessions.slice().reverse().slice(0, MAX_SESSION_ROWS).map(session => {
+      const counts = session.counts || createAnalyticsCounts();
+      return [new Date(session.startedAt).toLocaleString(),
+        formatDuration(((session.updatedAt || session.startedAt) - session.startedAt) / 60000),
+        Object.keys(session.byProfile || {}).join(', '),
+        counts.shown || 0, counts.hidden || 0, counts.queued || 0, counts.replies || 0];
+    });
+    fillTable(sessionTable, ['Started', 'Length', 'Profiles', 'Shown', 'Hidden', 'Queued', 'Replies'], rows);
+  }
+
+  function fillTable(table, headings, rows) {
+    table.textContent = '';
+    const header = table.insertRow();
+    headings.forEach(heading => {
+      const cell = document.createElement('th');
+      cell.textContent = heading;
+      header.appendChild(cell);
+    });
+
+    if (rows.length === 0) {
+      const cell = table.insertRow().insertCell();
+      cell.colSpan = headings.length;
+      cell.textContent = 'Nothing recorded for these dates';
+      return;
+    }
+    rows.forEach(values => {
+      const row = table.insertRow();
+      values.forEach(value => {
+        row.insertCell().textContent = typeof value === 'number' ? value.toLocaleString() : value;
+      });
+    });
+  }
+
+  // A canvas context sized for the screen, in CSS pixels
+  function prepareCanvas(canvas) {
+    const ratio = window.devicePixelRatio || 1;
+    const width = canvas.clientWidth;
+    const height = canvas.clientHeight;
+    canvas.width = width * ratio;
+    canvas.height = height * ratio;
+
+    const context = canvas.getContext('2d');
+    if (!context) return { context: null, width, height };
+    context.setTransform(ratio, 0, 0, ratio, 0, 0);
+    context.clearRect(0, 0, width, height);
+    context.font = '11px -apple-system, BlinkMacSystemFont, "Segoe UI", Roboto, Helvetica, Arial, sans-serif';
+    context.textBaseline = 'middle';
+    return { context, width, height };
+  }
+
+  function drawEmptyChart(context, width, height) {
+    context.fillStyle = '#536471';
+    context.textAlign = 'center';
+    context.fillText('Nothing recorded for these dates', width / 2, height / 2);
+  }
+
+  // The smallest round number (1, 2 or 5 times a power of ten) at or above value
+  function getNiceMax(value) {
+    if (value <= 0) return 1;
+    const power = Math.pow(10, Math.floor(Math.log10(value)));
+    return [1, 2, 5, 10].map(step => step * power).find(max => max >= value);
+  }
+
+  // One bar per day and series, side by side or stacked, with a legend
+  function drawBarChart(canvas, labels, series, stacked) {
+    const { context, width, height } = prepareCanvas(canvas);
+    if (!context) return;
+
+    const totals = labels.map((label, index) => series.map(entry => entry.values[index]));
+    const largest = Math.max(0, ...totals.map(values => stacked ? values.reduce((a, b) => a + b, 0) : Math.max(...values)));
+    if (labels.length === 0 || largest === 0) {
+      drawEmptyChart(context, width, height);
+      return;
+    }
+
+    const plot = { left: 44, right: width - 8, top: 24, bottom: height - 20 };
+    const max = getNiceMax(largest);
+    const y = value => plot.bottom - value / max * (plot.bottom - plot.top);
+
+    // Gridlines and axis labels
+    context.textAlign = 'right';
+    for (let step = 0; step <= 4; step++) {
+      const value = max / 4 * step;
+      context.strokeStyle = '#E1E8ED';
+      context.beginPath();
+      context.moveTo(plot.left, y(value));
+      context.lineTo(plot.right, y(value));
+      context.stroke();
+      context.fillStyle = '#536471';
+      context.fillText(Number.isInteger(value) ? value.toLocaleString() : value.toFixed(1), plot.left - 6, y(value));
+    }
+
+    const slot = (plot.right - plot.left) / labels.length;
+    const barWidth = Math.max(1, slot * 0.7 / (stacked ? 1 : series.length));
+    const labelEvery = Math.ceil(labels.length / Math.max(1, Math.floor((plot.right - plot.left) / 40)));
+    labels.forEach((label, index) => {
+      const slotLeft = plot.left + slot * index + slot * 0.15;
+      let base = 0;
+      series.forEach((entry, seriesIndex) => {
+        const value = entry.values[index];
+        if (!value) return;
+        const left = stacked ? slotLeft : slotLeft + barWidth * seriesIndex;
+        context.fillStyle = entry.color;
+        context.fillRect(left, y(base + value), barWidth, y(base) - y(base + value));
+        if (stacked) base += value;
+      });
+
+      if (index % labelEvery === 0) {
+        context.fillStyle = '#536471';
+        context.textAlign = 'center';
+        context.fillText(label, plot.left + slot * (index + 0.5), height - 8);
+      }
+    });
+
+    // Legend
+    let legendLeft = plot.left;
+    context.textAlign = 'left';
+    series.forEach(entry => {
+      context.fillStyle = entry.color;
+      context.fillRect(legendLeft, 6, 10, 10);
+      context.fillStyle = '#0F1419';
+      context.fillText(entry.name, legendLeft + 14, 11);
+      legendLeft += context.measureText(entry.name).width + 32;
+    });
+  }
+
+  // One labelled bar per item, largest first
+  function drawHorizontalBarChart(canvas, items) {
+    const { context, width, height } = prepareCanvas(canvas);
+    if (!context) return;
+    if (items.length === 0) {
+      drawEmptyChart(context, width, height);
+      return;
+    }
+
+    const labelWidth = 180;
+    const rowHeight = Math.min(28, height / items.length);
+    const max = items[0].value;
+    items.forEach((item, index) => {
+      const middle = rowHeight * (index + 0.5);
+      const barWidth = (width - labelWidth - 60) * item.value / max;
+      context.fillStyle = '#0F1419';
+      context.textAlign = 'right';
+      context.fillText(item.label, labelWidth - 8, middle);
+      context.fillStyle = COLORS.reason;
+      context.fillRect(labelWidth, middle - rowHeight * 0.35, barWidth, rowHeight * 0.7);
+      context.fillStyle = '#536471';
+      context.textAlign = 'left';
+      context.fillText(item.value.toLocaleString(), labelWidth + barWidth + 6, middle);
+    });
+  }
+});
@@ -0,0 +1,66 @@
+/**
+ * Reply Guy - Chrome Extension
+ * Content-script end of the channel to network-hook.js, run at document start
+ * Features:
+ * - Agrees a one-time nonce with network-hook.js through an attribute on the
+ *   root element, before any of X's own scripts have run
+ * - Accepts the MessagePort network-hook.js posts along with that nonce, so
+ *   author data arrives on a channel page scripts can't write to
+ * - Holds messages that arrive before content.js is ready for them
+ */
+
+const NETWORK_MESSAGE_SOURCE = 'reply-guy-network';
+const NETWORK_NONCE_ATTRIBUTE = 'data-reply-guy-nonce';
+const MAX_BUFFERED_NETWORK_MESSAGES = 100;
+
+let networkMessageHandler = null;
+let bufferedNetworkMessages = [];
+
+// Whichever of this script and network-hook.js runs first leaves a random
+// nonce on the root element, and the other takes it and removes it. Both run
+// before the page's scripts, which never get to see it.
+function exchangeNetworkNonce() {
+  const root = document.documentElement;
+  const existing = root.getAttribute(NETWORK_NONCE_ATTRIBUTE);
+  if (existing) {
+    root.removeAttribute(NETWORK_NONCE_ATTRIBUTE);
+    return existing;
+  }
+
+  const nonce = Array.from(crypto.getRandomValues(new Uint32Array(4)), value => value.toString(36)).join('');
+  root.setAttribute(NETWORK_NONCE_ATTRIBUTE, nonce);
+  return nonce;
+}
+
+const networkNonce = exchangeNetworkNonce();
+
+// The first connect message carrying our nonce hands over the channel; any
+// other message claiming to come from network-hook.js is ignored
+function handleNetworkConnect(event) {
+  const data = event.data;
+  if (event.source !== window || !data || data.source !== NETWORK_MESSAGE_SOURCE || data.type !== 'connect') return;
+  if (data.nonce !== networkNonce || !event.ports || !event.ports[0]) return;
+
+  event.stopImmediatePropagation();
+  window.removeEventListener('message', handleNetworkConnect);
+  event.ports[0].onmessage = receiveNetworkMessage;
+}
+
+function receiveNetworkMessage(event) {
+  if (networkMessageHandler) {
+    networkMessageHandler(event.data);
+  } else if (bufferedNetworkMessages.length < MAX_BUFFERED_NETWORK_MESSAGES) {
+    bufferedNetworkMessages.push(event.data);
+  }
+}
+
+// Called by content.js with a function that takes each message from
+// network-hook.js, starting with any that arrived before it loaded
+function onNetworkMessage(handler) {
+  networkMessageHandler = handler;
+  const buffered = bufferedNetworkMessages;
+  bufferedNetworkMessages = [];
+  buffered.forEach(handler);
+}
+
+window.addEventListener('message', handleNetworkConnect);
@@ -0,0 +1,148 @@
+/**
+ * Reply Guy - Chrome Extension
+ * Page-side network hook that runs in X.com's own JavaScript world
+ * Features:
+ * - Passively reads X's API responses (timelines, user lookups, threads, search)
+ * - Extracts each author's follower count, verification status and account creation date
+ * - Hands the author data to the content script over a private MessageChannel,
+ *   whose port is posted once along with a nonce agreed with network-bridge.js
+ * - Never modifies requests or responses
+ */
+
+(function() {
+  const MESSAGE_SOURCE = 'reply-guy-network';
+  const NONCE_ATTRIBUTE = 'data-reply-guy-nonce';
+  const API_URL_PATTERN = /\/i\/api\/(graphql|1\.1|2)\//;
+  const MAX_DEPTH = 64;
+  
+  // Taken now, before X's scripts could replace it
+  const postToPort = MessagePort.prototype.postMessage;
+  
+  // Same exchange as network-bridge.js: the first of the two to run leaves a
+  // nonce on the root element and the second takes it
+  function exchangeNonce() {
+    const root = document.documentElement;
+    const existing = root.getAttribute(NONCE_ATTRIBUTE);
+    if (existing) {
+      root.removeAttribute(NONCE_ATTRIBUTE);
+      return existing;
+    }
+    
+    const nonce = Array.from(crypto.getRandomValues(new Uint32Array(4)), value => value.toString(36)).join('');
+    root.setAttribute(NONCE_ATTRIBUTE, nonce);
+    return nonce;
+  }
+  
+  // The content script only accepts a port sent with the nonce, which page
+  // scripts never see, so they can't hand it one of their own
+  const channel = new MessageChannel();
+  window.postMessage({ source: MESSAGE_SOURCE, type: 'connect', nonce: exchangeNonce() },
+    window.location.origin, [channel.port2]);
+  
+  function isApiUrl(url) {
+    return typeof url === 'string' && API_URL_PATTERN.test(url);
+  }
+  
+  // Convert a GraphQL user result into the author data the content script caches.
+  // Newer responses moved the screen name and creation date from `legacy` to `core`.
+  function toAuthor(user) {
+    const legacy = user.legacy || {};
+    const core = user.core || {};
+    const handle = core.screen_name || legacy.screen_name;
+    
+    if (typeof handle !== 'string' || typeof legacy.followers_count !== 'number') {
+      return null;
+    }
+    
+    const createdAt = new Date(core.created_at || legacy.created_at);
+    
+    return {
+      handle: handle,
+      name: core.name || legacy.name || null,
+      followers: legacy.followers_count,
+      verified: user.is_blue_verified === true || legacy.verified === true ||
+                !!(user.verification && user.verification.verified),
+      createdAt: isNaN(createdAt.getTime()) ? null : createdAt.toISOString()
+    };
+  }
+  
+  // Walk a response body collecting every user object in it
+  function extractAuthors(data) {
+    const authors = new Map();
+    
+    function walk(node, depth) {
+      if (!node || typeof node !== 'object' || depth > MAX_DEPTH) return;
+      
+      if (Array.isArray(node)) {
+        node.forEach(child => walk(child, depth + 1));
+        return;
+      }
+      
+      if (node.__typename === 'User') {
+        const author = toAuthor(node);
+        if (author) {
+          authors.set(author.handle.toLowerCase(), author);
+        }
+      }
+      
+      Object.keys(node).forEach(key => walk(node[key], depth + 1));
+    }
+    
+    walk(data, 0);
+    return Array.from(authors.values());
+  }
+  
+  function publishAuthors(data) {
+    try {
+      const authors = extractAuthors(data);
+      if (authors.length > 0) {
+        postToPort.call(channel.port1, { type: 'authors', authors: authors });
+      }
+    } catch (error) {
+      console.error('Reply Guy: error reading API response:', error);
+    }
+  }
+  
+  // Read fetch responses from a clone so X's own reader is untouched
+  const originalFetch = window.fetch;
+  if (typeof originalFetch === 'function') {
+    window.fetch = function() {
+      const request = originalFetch.apply(this, arguments);
+      
+      request.then(response => {
+        if (response && isApiUrl(response.url)) {
+          response.clone().json().then(publishAuthors).catch(() => {});
+        }
+      }).catch(() => {});
+      
+      return request;
+    };
+  }
+  
+  // Read XMLHttpRequest responses once they have loaded
+  const requestUrls = new WeakMap();
+  const originalOpen = XMLHttpRequest.prototype.open;
+  const originalSend = XMLHttpRequest.prototype.send;
+  
+  XMLHttpRequest.prototype.open = function(method, url) {
+    requestUrls.set(this, String(url));
+    return originalOpen.apply(this, arguments);
+  };
+  
+  XMLHttpRequest.prototype.send = function() {
+    if (isApiUrl(requestUrls.get(this))) {
+      this.addEventListener('load', function() {
+        try {
+          if (this.responseType === 'json') {
+            publishAuthors(this.response);
+          } else if (this.responseType === '' || this.responseType === 'text') {
+            publishAuthors(JSON.parse(this.responseText));
+          }
+        } catch (error) {
+          // Not a JSON response
+        }
+      });
+    }
+    return originalSend.apply(this, arguments);
+  };
+})();
@@ -3,53 +3,162 @@
  * Popup script to handle user settings for the tweet filter
  * Features:
  * - Toggle to enable/disable filtering
- * - Dropdown to select time threshold
+ * - Dropdown to hide filtered tweets completely or collapse them to a stub
+ * - Age window as a free-form duration ("45m", "3h", "1d 6h") or since the last
+ *   visit, and an optional minimum age
  * - Toggle to enable/disable follower count filtering
  * - Input to set minimum follower count threshold
+ * - Input to set how long cached follower counts are kept
+ * - Policy for tweets whose follower count is unknown, with a live count from the page
+ * - Reply opportunity scoring with configurable weights and top-N highlighting
+ * - Badge, hide or ignore tweets we already replied to
+ * - Seen-tweet history: toggle, dwell time and a control to clear it
+ * - Muted keyword, phrase and regular expression lists
+ * - Account allowlist and blocklist
+ * - Reply templates for the picker in X's reply box
+ * - Engagement thresholds and minimum engagement velocity
+ * - Per-surface enablement (For you, Following, Lists, Search, profiles, replies
+ *   on post pages) with optional age and follower overrides
+ * - Named filter profiles: switch, create, rename, duplicate and delete
+ * - Schedules that switch profile by time of day and day of week (applied by background.js)
+ * - Export to and import from a versioned JSON file, merging or replacing
+ * - Link to the analytics dashboard, and CSV or JSON export of the tweets the
+ *   current X.com tab decided on
  * - Persistent settings via Chrome storage
  */
 
 document.addEventListener('DOMContentLoaded', function() {
   const enableFilterCheckbox = document.getElementById('enableFilter');
-  const maxAgeSelect = document.getElementById('maxAge');
+  const displayModeSelect = document.getElementById('displayMode');
+  const ageWindowSelect = document.getElementById('ageWindow');
+  const maxAgeInput = document.getElementById('maxAge');
+  const minAgeInput = document.getElementById('minAge');
+  const lastVisitElement = document.getElementById('lastVisit');
   const enableFollowerFilterCheckbox = document.getElementById('enableFollowerFilter');
   const minFollowersInput = document.getElementById('minFollowers');
+  const authorCacheTtlInput = document.getElementById('authorCacheTtl');
+  const unknownFollowerPolicySelect = document.getElementById('unknownFollowerPolicy');
+  const unknownCountElement = document.getElementById('unknownCount');
   const followerContainer = document.getElementById('followerContainer');
+  const enableScoringCheckbox = document.getElementById('enableScoring');
+  const scoringContainer = document.getElementById('scoringContainer');
+  const weightInputs = document.querySelectorAll('.weight-grid input');
+  const highlightTopNInput = document.getElementById('highlightTopN');
+  const repliedDisplaySelect = document.getElementById('repliedDisplay');
+  const repliedInfoElement = document.getElementById('repliedInfo');
+  const enableSeenFilterCheckbox = document.getElementById('enableSeenFilter');
+  const seenContainer = document.getElementById('seenContainer');
+  const seenDwellSecondsInput = document.getElementById('seenDwellSeconds');
+  const seenCountElement = document.getElementById('seenCount');
+  const enableMuteFilterCheckbox = document.getElementById('enableMuteFilter');
+  const muteContainer = document.getElementById('muteContainer');
+  const muteKeywordsInput = document.getElementById('muteKeywords');
+  const mutePhrasesInput = document.getElementById('mutePhrases');
+  const muteRegexesInput = document.getElementById('muteRegexes');
+  const muteCaseSensitiveCheckbox = document.getElementById('muteCaseSensitive');
+  const muteWholeWordCheckbox = document.getElementById('muteWholeWord');
+  const allowlistInput = document.getElementById('allowlist');
+  const blocklistInput = document.getElementById('blocklist');
+  const replyTemplatesInput = document.getElementById('replyTemplates');
+  const enableEngagementFilterCheckbox = document.getElementById('enableEngagementFilter');
+  const engagementContainer = document.getElementById('engagementContainer');
+  const thresholdInputs = document.querySelectorAll('.threshold-grid input');
+  const minVelocityInput = document.getElementById('minVelocity');
+  const surfaceSelect = document.getElementById('surface');
+  const surfaceEnabledCheckbox = document.getElementById('surfaceEnabled');
+  const surfaceContainer = document.getElementById('surfaceContainer');
+  const surfaceMaxAgeInput = document.getElementById('surfaceMaxAge');
+  const surfaceFollowerFilterSelect = document.getElementById('surfaceFollowerFilter');
+  const surfaceMinFollowersInput = document.getElementById('surfaceMinFollowers');
+  const profileSelect = document.getElementById('profile');
+  const profileNameInput = document.getElementById('profileName');
+  const scheduleList = document.getElementById('scheduleList');
+  let schedules = []; // { id, profileId, days (0 = Sunday), start, end }
+  const importFileInput = document.getElementById('importFile');
   const statusElement = document.getElementById('status');
+  let surfaces = {}; // surface -> { enabled, maxAge, followerFilterEnabled, minFollowers }
   
   // Load saved settings
-  chrome.storage.sync.get(['enabled', 'maxAge', 'followerFilterEnabled', 'minFollowers'], function(result) {
-    try {
-      // Set default values if not found in storage
-      enableFilterCheckbox.checked = result.enabled === undefined ? true : result.enabled;
-      
-      if (result.maxAge) {
-        maxAgeSelect.value = result.maxAge;
-      } else {
-        maxAgeSelect.value = '120'; // Default to 2 hours
-      }
+  loadSettings();
+  loadProfileList();
+  loadSchedules();
 
-      // Set follower filter settings
-      enableFollowerFilterCheckbox.checked = result.followerFilterEnabled === true;
-      
-      if (result.minFollowers) {
-        minFollowersInput.value = result.minFollowers;
-      } else {
-        minFollowersInput.value = '2000'; // Default minimum followers
+  function loadSettings() {
+    readSettings(function(values) {
+      try {
+        showSettings(values);
+      } catch (error) {
+        console.error('Error loading settings:', error);
+        // Use defaults on error
+        showSettings(getDefaultSettings());
       }
-      
-      // Show/hide follower input based on checkbox state
-      followerContainer.style.display = enableFollowerFilterCheckbox.checked ? 'block' : 'none';
-    } catch (error) {
-      console.error('Error loading settings:', error);
-      // Use defaults on error
-      enableFilterCheckbox.checked = true;
-      maxAgeSelect.value = '120';
-      enableFollowerFilterCheckbox.checked = false;
-      minFollowersInput.value = '2000';
-      followerContainer.style.display = 'none';
-    }
-  });
+    });
+  }
+
+  // Fill the controls from normalized settings
+  function showSettings(values) {
+    enableFilterCheckbox.checked = values.enabled;
+    displayModeSelect.value = values.displayMode;
+    ageWindowSelect.value = values.ageWindow;
+    maxAgeInput.value = formatDuration(values.maxAge, 3);
+    minAgeInput.value = values.minAge > 0 ? formatDuration(values.minAge, 3) : '';
+    loadLastVisit();
+
+    // Set follower filter settings
+    enableFollowerFilterCheckbox.checked = values.followerFilterEnabled;
+    minFollowersInput.value = values.minFollowers;
+    authorCacheTtlInput.value = values.authorCacheTtl;
+    unknownFollowerPolicySelect.value = values.unknownFollowerPolicy;
+    followerContainer.style.display = values.followerFilterEnabled ? 'block' : 'none';
+
+    // Set reply opportunity scoring
+    enableScoringCheckbox.checked = values.scoringEnabled;
+    weightInputs.forEach(input => {
+      input.value = values.scoreWeights[input.dataset.factor];
+    });
+    highlightTopNInput.value = values.highlightTopN > 0 ? values.highlightTopN : '';
+    scoringContainer.style.display = values.scoringEnabled ? 'block' : 'none';
+
+    // Set replied tweet handling
+    repliedDisplaySelect.value = values.repliedDisplay;
+    loadRepliedInfo();
+
+    // Set seen history settings
+    enableSeenFilterCheckbox.checked = values.seenFilterEnabled;
+    seenDwellSecondsInput.value = values.seenDwellSeconds;
+    seenContainer.style.display = values.seenFilterEnabled ? 'block' : 'none';
+    loadSeenCount();
+
+    // Set mute filter settings
+    enableMuteFilterCheckbox.checked = values.muteFilterEnabled;
+    muteKeywordsInput.value = values.muteKeywords.join('\n');
+    mutePhrasesInput.value = values.mutePhrases.join('\n');
+    muteRegexesInput.value = values.muteRegexes.join('\n');
+    muteCaseSensitiveCheckbox.checked = values.muteCaseSensitive;
+    muteWholeWordCheckbox.checked = values.muteWholeWord;
+    muteContainer.style.display = values.muteFilterEnabled ? 'block' : 'none';
+
+    // Set account lists
+    allowlistInput.value = values.allowlist.map(handle => '@' + handle).join('\n');
+    blocklistInput.value = values.blocklist.map(handle => '@' + handle).join('\n');
+
+    // Set reply templates
+    replyTemplatesInput.value = values.replyTemplates.join('\n');
+
+    // Set engagement filter settings
+    enableEngagementFilterCheckbox.checked = values.engagementFilterEnabled;
+    thresholdInputs.forEach(input => {
+      const limits = values.engagementThresholds[input.dataset.metric] || {};
+      const value = limits[input.dataset.limit];
+      input.value = typeof value === 'number' ? value : '';
+    });
+    minVelocityInput.value = values.minVelocity === null ? '' : values.minVelocity;
+    engagementContainer.style.display = values.engagementFilterEnabled ? 'block' : 'none';
+
+    // Set per-surface settings
+    surfaces = values.surfaces;
+    loadSurfaceSettings();
+  }
 
   // Save toggle state
   enableFilterCheckbox.addEventListener('change', function() {
@@ -61,16 +170,77 @@ document.addEventListener('DOMContentLoaded', function() {
     }
   });
 
+  // Save display mode for filtered tweets
+  displayModeSelect.addEventListener('change', function() {
+    try {
+      chrome.storage.sync.set({ displayMode: this.value }, showSaveStatus);
+    } catch (error) {
+      console.error('Error saving display mode:', error);
+      showSaveError();
+    }
+  });
+
+  // Save age window mode
+  ageWindowSelect.addEventListener('change', function() {
+    try {
+      chrome.storage.sync.set({ ageWindow: this.value }, showSaveStatus);
+      loadLastVisit();
+    } catch (error) {
+      console.error('Error saving age window:', error);
+      showSaveError();
+    }
+  });
+
   // Save time cutoff
-  maxAgeSelect.addEventListener('change', function() {
+  maxAgeInput.addEventListener('change', function() {
     try {
-      chrome.storage.sync.set({ maxAge: parseInt(this.value) }, showSaveStatus);
+      const minutes = parseDuration(this.value);
+      if (minutes === null) {
+        showSaveError(`Invalid duration: ${this.value}`);
+        return;
+      }
+      const value = normalizeSetting('maxAge', minutes);
+      this.value = formatDuration(value, 3);
+      chrome.storage.sync.set({ maxAge: value }, showSaveStatus);
     } catch (error) {
       console.error('Error saving max age:', error);
       showSaveError();
     }
   });
 
+  // Save minimum age; empty means none
+  minAgeInput.addEventListener('change', function() {
+    try {
+      const minutes = this.value.trim() ? parseDuration(this.value) : 0;
+      if (minutes === null) {
+        showSaveError(`Invalid duration: ${this.value}`);
+        return;
+      }
+      const value = normalizeSetting('minAge', minutes);
+      this.value = value > 0 ? formatDuration(value, 3) : '';
+      chrome.storage.sync.set({ minAge: value }, showSaveStatus);
+    } catch (error) {
+      console.error('Error saving min age:', error);
+      showSaveError();
+    }
+  });
+
+  // Show when the "since I last looked" window starts
+  function loadLastVisit() {
+    if (ageWindowSelect.value !== 'lastVisit') {
+      lastVisitElement.textContent = '';
+      return;
+    }
+
+    chrome.storage.local.get(['lastVisitAt'], function(result) {
+      if (typeof result.lastVisitAt === 'number') {
+        lastVisitElement.textContent = `Last looked ${formatDuration((Date.now() - result.lastVisitAt) / 60000)} ago`;
+      } else {
+        lastVisitElement.textContent = 'No visit recorded yet, so the age above is used';
+      }
+    });
+  }
+
   // Toggle follower filter
   enableFollowerFilterCheckbox.addEventListener('change', function() {
     try {
@@ -85,22 +255,675 @@ document.addEventListener('DOMContentLoaded', function() {
   // Save minimum followers
   minFollowersInput.addEventListener('change', function() {
     try {
-      const value = parseInt(this.value);
-      // Ensure the value is a positive number
-      if (isNaN(value) || value < 0) {
-        this.value = '0';
-        chrome.storage.sync.set({ minFollowers: 0 }, showSaveStatus);
+      // Out-of-range or non-numeric input is corrected to a valid count
+      const value = normalizeSetting('minFollowers', parseInt(this.value));
+      this.value = value;
+      chrome.storage.sync.set({ minFollowers: value }, showSaveStatus);
+    } catch (error) {
+      console.error('Error saving min followers:', error);
+      showSaveError();
+    }
+  });
+
+  // Save policy for tweets with an unknown follower count
+  unknownFollowerPolicySelect.addEventListener('change', function() {
+    try {
+      chrome.storage.sync.set({ unknownFollowerPolicy: this.value }, function() {
+        showSaveStatus();
+        // Give the page a moment to re-filter before counting again
+        setTimeout(loadPageStats, 500);
+      });
+    } catch (error) {
+      console.error('Error saving unknown follower policy:', error);
+      showSaveError();
+    }
+  });
+
+  // Save follower count cache lifetime
+  authorCacheTtlInput.addEventListener('change', function() {
+    try {
+      const value = normalizeSetting('authorCacheTtl', parseInt(this.value));
+      this.value = value;
+      chrome.storage.sync.set({ authorCacheTtl: value }, showSaveStatus);
+    } catch (error) {
+      console.error('Error saving follower cache lifetime:', error);
+      showSaveError();
+    }
+  });
+
+  // Toggle reply opportunity scoring
+  enableScoringCheckbox.addEventListener('change', function() {
+    try {
+      scoringContainer.style.display = this.checked ? 'block' : 'none';
+      chrome.storage.sync.set({ scoringEnabled: this.checked }, showSaveStatus);
+    } catch (error) {
+      console.error('Error saving scoring state:', error);
+      showSaveError();
+    }
+  });
+
+  // Save score weights, each corrected to the 0-10 range
+  weightInputs.forEach(input => {
+    input.addEventListener('change', function() {
+      try {
+        const weights = {};
+        weightInputs.forEach(weightInput => {
+          const value = parseFloat(weightInput.value);
+          weights[weightInput.dataset.factor] = isNaN(value) ? 0 : Math.min(10, Math.max(0, value));
+          weightInput.value = weights[weightInput.dataset.factor];
+        });
+        chrome.storage.sync.set({ scoreWeights: weights }, showSaveStatus);
+      } catch (error) {
+        console.error('Error saving score weights:', error);
+        showSaveError();
+      }
+    });
+  });
+
+  // Save how many top tweets are highlighted; empty means none
+  highlightTopNInput.addEventListener('change', function() {
+    try {
+      const value = normalizeSetting('highlightTopN', this.value.trim() ? parseInt(this.value) : 0);
+      this.value = value > 0 ? value : '';
+      chrome.storage.sync.set({ highlightTopN: value }, showSaveStatus);
+    } catch (error) {
+      console.error('Error saving highlighted tweet count:', error);
+      showSaveError();
+    }
+  });
+
+  // Save how tweets we replied to are shown
+  repliedDisplaySelect.addEventListener('change', function() {
+    try {
+      chrome.storage.sync.set({ repliedDisplay: this.value }, showSaveStatus);
+    } catch (error) {
+      console.error('Error saving replied tweet display:', error);
+      showSaveError();
+    }
+  });
+
+  // The account the replies were detected for, learned by the content script
+  function loadRepliedInfo() {
+    chrome.storage.local.get(['ownHandle', 'repliedTweets'], function(result) {
+      const count = result.repliedTweets ? Object.keys(result.repliedTweets).length : 0;
+      const replies = `${count.toLocaleString()} ${count === 1 ? 'reply' : 'replies'} remembered`;
+      repliedInfoElement.textContent = result.ownHandle
+        ? `Signed in as @${result.ownHandle} · ${replies}`
+        : `Open X.com to detect your account · ${replies}`;
+    });
+  }
+
+  // Toggle seen tweet filter
+  enableSeenFilterCheckbox.addEventListener('change', function() {
+    try {
+      seenContainer.style.display = this.checked ? 'block' : 'none';
+      chrome.storage.sync.set({ seenFilterEnabled: this.checked }, showSaveStatus);
+    } catch (error) {
+      console.error('Error saving seen filter state:', error);
+      showSaveError();
+    }
+  });
+
+  // Save how long a tweet must stay in view to count as seen
+  seenDwellSecondsInput.addEventListener('change', function() {
+    try {
+      const value = normalizeSetting('seenDwellSeconds', parseFloat(this.value));
+      this.value = value;
+      chrome.storage.sync.set({ seenDwellSeconds: value }, showSaveStatus);
+    } catch (error) {
+      console.error('Error saving seen dwell time:', error);
+      showSaveError();
+    }
+  });
+
+  // Forget every seen tweet; open X.com tabs show them again
+  document.getElementById('clearSeen').addEventListener('click', function() {
+    try {
+      chrome.storage.local.set({ seenTweets: {} }, function() {
+        showSaveStatus('Seen history cleared');
+        loadSeenCount();
+      });
+    } catch (error) {
+      console.error('Error clearing seen history:', error);
+      showSaveError();
+    }
+  });
+
+  function loadSeenCount() {
+    chrome.storage.local.get(['seenTweets'], function(result) {
+      const count = result.seenTweets ? Object.keys(result.seenTweets).length : 0;
+      seenCountElement.textContent = `${count.toLocaleString()} ${count === 1 ? 'tweet' : 'tweets'} remembered`;
+    });
+  }
+
+  // Toggle mute filter
+  enableMuteFilterCheckbox.addEventListener('change', function() {
+    try {
+      muteContainer.style.display = this.checked ? 'block' : 'none';
+      chrome.storage.sync.set({ muteFilterEnabled: this.checked }, showSaveStatus);
+    } catch (error) {
+      console.error('Error saving mute filter state:', error);
+      showSaveError();
+    }
+  });
+
+  // Save mute lists, one entry per line
+  muteKeywordsInput.addEventListener('change', function() {
+    try {
+      chrome.storage.sync.set({ muteKeywords: parseLines(this.value) }, showSaveStatus);
+    } catch (error) {
+      console.error('Error saving muted keywords:', error);
+      showSaveError();
+    }
+  });
+
+  mutePhrasesInput.addEventListener('change', function() {
+    try {
+      chrome.storage.sync.set({ mutePhrases: parseLines(this.value) }, showSaveStatus);
+    } catch (error) {
+      console.error('Error saving muted phrases:', error);
+      showSaveError();
+    }
+  });
+
+  muteRegexesInput.addEventListener('change', function() {
+    try {
+      const patterns = parseLines(this.value);
+      // Refuse to save patterns the content script can't compile
+      const invalid = patterns.find(pattern => !isValidPattern(pattern));
+      if (invalid) {
+        showSaveError(`Invalid pattern: ${invalid}`);
+        return;
+      }
+      chrome.storage.sync.set({ muteRegexes: patterns }, showSaveStatus);
+    } catch (error) {
+      console.error('Error saving muted patterns:', error);
+      showSaveError();
+    }
+  });
+
+  muteCaseSensitiveCheckbox.addEventListener('change', function() {
+    try {
+      chrome.storage.sync.set({ muteCaseSensitive: this.checked }, showSaveStatus);
+    } catch (error) {
+      console.error('Error saving case sensitivity:', error);
+      showSaveError();
+    }
+  });
+
+  muteWholeWordCheckbox.addEventListener('change', function() {
+    try {
+      chrome.storage.sync.set({ muteWholeWord: this.checked }, showSaveStatus);
+    } catch (error) {
+      console.error('Error saving whole word option:', error);
+      showSaveError();
+    }
+  });
+
+  // Toggle engagement filter
+  enableEngagementFilterCheckbox.addEventListener('change', function() {
+    try {
+      engagementContainer.style.display = this.checked ? 'block' : 'none';
+      chrome.storage.sync.set({ engagementFilterEnabled: this.checked }, showSaveStatus);
+    } catch (error) {
+      console.error('Error saving engagement filter state:', error);
+      showSaveError();
+    }
+  });
+
+  // Save engagement thresholds; an empty input means no limit
+  thresholdInputs.forEach(input => {
+    input.addEventListener('change', function() {
+      try {
+        const thresholds = {};
+        thresholdInputs.forEach(thresholdInput => {
+          const metric = thresholdInput.dataset.metric;
+          thresholds[metric] = thresholds[metric] || { min: null, max: null };
+          thresholds[metric][thresholdInput.dataset.limit] = parseOptionalNumber(thresholdInput);
+        });
+        chrome.storage.sync.set({ engagementThresholds: thresholds }, showSaveStatus);
+      } catch (error) {
+        console.error('Error saving engagement thresholds:', error);
+        showSaveError();
+      }
+    });
+  });
+
+  // Save minimum engagement velocity
+  minVelocityInput.addEventListener('change', function() {
+    try {
+      chrome.storage.sync.set({ minVelocity: parseOptionalNumber(this) }, showSaveStatus);
+    } catch (error) {
+      console.error('Error saving minimum velocity:', error);
+      showSaveError();
+    }
+  });
+
+  // Fill the profile picker and show the active profile's name
+  function loadProfileList() {
+    loadProfiles(function(profiles, activeProfileId) {
+      profileSelect.textContent = '';
+      profiles.forEach(profile => {
+        const option = document.createElement('option');
+        option.value = profile.id;
+        option.textContent = profile.name;
+        profileSelect.appendChild(option);
+      });
+      profileSelect.value = activeProfileId;
+      profileNameInput.value = profiles.find(profile => profile.id === activeProfileId).name;
+    });
+  }
+
+  // Reload everything once a profile action is stored
+  function onProfileChanged(error) {
+    if (error) {
+      console.error('Error saving profiles:', error);
+      showSaveError(error);
+      loadProfileList();
+      return;
+    }
+    loadSettings();
+    loadProfileList();
+    loadSchedules();
+    showSaveStatus();
+  }
+
+  function getProfileName() {
+    return profileNameInput.value.trim() || `Profile ${profileSelect.options.length + 1}`;
+  }
+
+  // Switch profile
+  profileSelect.addEventListener('change', function() {
+    try {
+      switchProfile(this.value, onProfileChanged);
+    } catch (error) {
+      console.error('Error switching profile:', error);
+      showSaveError();
+    }
+  });
+
+  document.getElementById('renameProfile').addEventListener('click', function() {
+    try {
+      const name = profileNameInput.value.trim();
+      if (!name) {
+        showSaveError('Enter a profile name');
+        return;
+      }
+      renameProfile(profileSelect.value, name, onProfileChanged);
+    } catch (error) {
+      console.error('Error renaming profile:', error);
+      showSaveError();
+    }
+  });
+
+  document.getElementById('newProfile').addEventListener('click', function() {
+    try {
+      createProfile(getProfileName(), onProfileChanged);
+    } catch (error) {
+      console.error('Error creating profile:', error);
+      showSaveError();
+    }
+  });
+
+  document.getElementById('duplicateProfile').addEventListener('click', function() {
+    try {
+      const name = profileNameInput.value.trim();
+      const selected = profileSelect.options[profileSelect.selectedIndex];
+      // Keep the typed name unless it is still the original's
+      const copyName = name && name !== selected.textContent ? name : `${selected.textContent} copy`;
+      duplicateProfile(profileSelect.value, copyName, onProfileChanged);
+    } catch (error) {
+      console.error('Error duplicating profile:', error);
+      showSaveError();
+    }
+  });
+
+  document.getElementById('deleteProfile').addEventListener('click', function() {
+    try {
+      deleteProfile(profileSelect.value, onProfileChanged);
+    } catch (error) {
+      console.error('Error deleting profile:', error);
+      showSaveError();
+    }
+  });
+
+  function loadSchedules() {
+    chrome.storage.sync.get(['schedules'], function(result) {
+      schedules = Array.isArray(result.schedules) ? result.schedules : [];
+      loadProfiles(renderSchedules);
+    });
+  }
+
+  // One row per schedule: profile, start and end time, remove button, then the days
+  function renderSchedules(profiles) {
+    scheduleList.textContent = '';
+
+    schedules.forEach(schedule => {
+      const row = document.createElement('div');
+      row.className = 'schedule';
+
+      const times = document.createElement('div');
+      times.className = 'schedule-times';
+
+      const profileChoice = document.createElement('select');
+      profiles.forEach(profile => {
+        const option = document.createElement('option');
+        option.value = profile.id;
+        option.textContent = profile.name;
+        profileChoice.appendChild(option);
+      });
+      profileChoice.value = schedule.profileId;
+      profileChoice.addEventListener('change', function() {
+        schedule.profileId = this.value;
+        saveSchedules();
+      });
+
+      const startInput = document.createElement('input');
+      startInput.type = 'time';
+      startInput.value = schedule.start;
+      startInput.title = 'Starts at';
+      startInput.addEventListener('change', function() {
+        setScheduleTime(schedule, 'start', this);
+      });
+
+      const endInput = document.createElement('input');
+      endInput.type = 'time';
+      endInput.value = schedule.end;
+      endInput.title = 'Ends at (can be after midnight)';
+      endInput.addEventListener('change', function() {
+        setScheduleTime(schedule, 'end', this);
+      });
+
+      const removeButton = document.createElement('button');
+      removeButton.textContent = '×';
+      removeButton.title = 'Remove schedule';
+      removeButton.addEventListener('click', function() {
+        schedules = schedules.filter(candidate => candidate !== schedule);
+        saveSchedules();
+        renderSchedules(profiles);
+      });
+
+      times.append(profileChoice, startInput, endInput, removeButton);
+
+      const days = document.createElement('div');
+      days.className = 'schedule-days';
+      ['S', 'M', 'T', 'W', 'T', 'F', 'S'].forEach((dayName, day) => {
+        const dayLabel = document.createElement('label');
+        const dayCheckbox = document.createElement('input');
+        dayCheckbox.type = 'checkbox';
+        dayCheckbox.checked = schedule.days.includes(day);
+        dayCheckbox.addEventListener('change', function() {
+          schedule.days = this.checked
+            ? schedule.days.concat(day).sort()
+            : schedule.days.filter(candidate => candidate !== day);
+          saveSchedules();
+        });
+        dayLabel.append(dayCheckbox, dayName);
+        days.appendChild(dayLabel);
+      });
+
+      row.append(times, days);
+      scheduleList.appendChild(row);
+    });
+  }
+
+  // New schedules start as weekday market hours for the selected profile
+  document.getElementById('addSchedule').addEventListener('click', function() {
+    schedules.push({
+      id: 's' + Date.now().toString(36),
+      profileId: profileSelect.value,
+      days: [1, 2, 3, 4, 5],
+      start: '09:30',
+      end: '16:00'
+    });
+    saveSchedules();
+    loadProfiles(renderSchedules);
+  });
+
+  // A cleared or incomplete time would never match and fail the import of
+  // the user's own export, so the input goes back to the saved time instead
+  function setScheduleTime(schedule, key, input) {
+    if (!SCHEDULE_TIME_PATTERN.test(input.value)) {
+      input.value = schedule[key];
+      return;
+    }
+    schedule[key] = input.value;
+    saveSchedules();
+  }
+
+  function saveSchedules() {
+    try {
+      chrome.storage.sync.set({ schedules: schedules }, showSaveStatus);
+    } catch (error) {
+      console.error('Error saving schedules:', error);
+      showSaveError();
+    }
+  }
+
+  // The dashboard opens in its own tab
+  document.getElementById('openDashboard').addEventListener('click', function() {
+    chrome.tabs.create({ url: chrome.runtime.getURL('dashboard.html') });
+  });
+
+  // Ask the active tab for its decisions and download them
+  document.getElementById('exportTweetsCsv').addEventListener('click', function() {
+    exportPageTweets('csv');
+  });
+
+  document.getElementById('exportTweetsJson').addEventListener('click', function() {
+    exportPageTweets('json');
+  });
+
+  function exportPageTweets(format) {
+    chrome.tabs.query({ active: true, currentWindow: true }, function(tabs) {
+      if (!tabs || !tabs[0]) return;
+
+      chrome.tabs.sendMessage(tabs[0].id, { type: 'getDecisionLog' }, function(response) {
+        // No content script on this tab
+        if (chrome.runtime.lastError || !response) {
+          showSaveError('Open an X.com tab to export its tweets');
+          return;
+        }
+        if (response.entries.length === 0) {
+          showSaveError('No tweets decided on this page yet');
+          return;
+        }
+
+        try {
+          downloadDecisionLog(response.entries, format);
+          const count = response.entries.length;
+          showSaveStatus(`Exported ${count} tweet${count === 1 ? '' : 's'}`);
+        } catch (error) {
+          console.error('Error exporting tweets:', error);
+          showSaveError('Error exporting tweets!');
+        }
+      });
+    });
+  }
+
+  // Download every setting, list, profile and schedule as a JSON file
+  document.getElementById('exportSettings').addEventListener('click', function() {
+    try {
+      buildSettingsExport(function(data) {
+        const blob = new Blob([JSON.stringify(data, null, 2)], { type: 'application/json' });
+        const url = URL.createObjectURL(blob);
+        const link = document.createElement('a');
+        link.href = url;
+        link.download = `reply-guy-settings-${new Date().toISOString().slice(0, 10)}.json`;
+        link.click();
+        setTimeout(() => URL.revokeObjectURL(url), 1000);
+      });
+    } catch (error) {
+      console.error('Error exporting settings:', error);
+      showSaveError('Error exporting settings!');
+    }
+  });
+
+  document.getElementById('importSettings').addEventListener('click', function() {
+    importFileInput.click();
+  });
+
+  // Validate the chosen file, then merge it with or replace the current settings
+  importFileInput.addEventListener('change', function() {
+    const file = this.files[0];
+    this.value = '';
+    if (!file) return;
+
+    file.text().then(function(text) {
+      const imported = parseSettingsImport(text);
+      const mode = document.querySelector('input[name="importMode"]:checked').value;
+      applySettingsImport(imported, mode, function(error) {
+        if (error) {
+          console.error('Error importing settings:', error);
+          showSaveError(error);
+          return;
+        }
+        loadSettings();
+        loadProfileList();
+        loadSchedules();
+        showSaveStatus('Settings imported!');
+      });
+    }).catch(function(error) {
+      console.error('Error importing settings:', error);
+      showSaveError(error.message);
+    });
+  });
+
+  // Show the settings of the selected surface
+  surfaceSelect.addEventListener('change', loadSurfaceSettings);
+
+  function loadSurfaceSettings() {
+    const surface = getSurfaceConfig(surfaceSelect.value);
+    surfaceEnabledCheckbox.checked = surface.enabled;
+    surfaceMaxAgeInput.value = surface.maxAge === null ? '' : formatDuration(surface.maxAge, 3);
+    surfaceFollowerFilterSelect.value = surface.followerFilterEnabled === null ? '' : (surface.followerFilterEnabled ? 'on' : 'off');
+    surfaceMinFollowersInput.value = surface.minFollowers === null ? '' : surface.minFollowers;
+    surfaceContainer.style.display = surface.enabled ? 'block' : 'none';
+  }
+
+  // Only the For you timeline is filtered by default; null means use the default setting
+  function getSurfaceConfig(surface) {
+    return Object.assign(
+      { enabled: surface === 'forYou', maxAge: null, followerFilterEnabled: null, minFollowers: null },
+      surfaces[surface]
+    );
+  }
+
+  // Save the selected surface's settings
+  [surfaceEnabledCheckbox, surfaceMaxAgeInput, surfaceFollowerFilterSelect, surfaceMinFollowersInput].forEach(control => {
+    control.addEventListener('change', function() {
+      try {
+        const followerFilter = surfaceFollowerFilterSelect.value;
+        const minFollowers = parseOptionalNumber(surfaceMinFollowersInput);
+        const maxAge = surfaceMaxAgeInput.value.trim() ? parseDuration(surfaceMaxAgeInput.value) : null;
+        if (surfaceMaxAgeInput.value.trim() && maxAge === null) {
+          showSaveError(`Invalid duration: ${surfaceMaxAgeInput.value}`);
+          return;
+        }
+        surfaces = Object.assign({}, surfaces, {
+          [surfaceSelect.value]: {
+            enabled: surfaceEnabledCheckbox.checked,
+            maxAge: maxAge === null ? null : normalizeSetting('maxAge', maxAge),
+            followerFilterEnabled: followerFilter ? followerFilter === 'on' : null,
+            minFollowers: minFollowers === null ? null : normalizeSetting('minFollowers', minFollowers)
+          }
+        });
+        surfaceContainer.style.display = surfaceEnabledCheckbox.checked ? 'block' : 'none';
+        chrome.storage.sync.set({ surfaces: surfaces }, showSaveStatus);
+      } catch (error) {
+        console.error('Error saving surface settings:', error);
+        showSaveError();
+      }
+    });
+  });
+
+  // Read a non-negative number from an input, clearing it if invalid
+  function parseOptionalNumber(input) {
+    const value = parseFloat(input.value);
+    if (isNaN(value) || value < 0) {
+      input.value = '';
+      return null;
+    }
+    return value;
+  }
+
+  // Save account lists; a handle can only be on one of them
+  allowlistInput.addEventListener('change', function() {
+    saveAccountLists('allowlist');
+  });
+
+  blocklistInput.addEventListener('change', function() {
+    saveAccountLists('blocklist');
+  });
+
+  function saveAccountLists(changedList) {
+    try {
+      let allowlist = parseHandles(allowlistInput.value);
+      let blocklist = parseHandles(blocklistInput.value);
+
+      // The list that was just edited wins for handles on both
+      if (changedList === 'allowlist') {
+        blocklist = blocklist.filter(handle => !allowlist.includes(handle));
       } else {
-        chrome.storage.sync.set({ minFollowers: value }, showSaveStatus);
+        allowlist = allowlist.filter(handle => !blocklist.includes(handle));
       }
+
+      allowlistInput.value = allowlist.map(handle => '@' + handle).join('\n');
+      blocklistInput.value = blocklist.map(handle => '@' + handle).join('\n');
+      chrome.storage.sync.set({ allowlist: allowlist, blocklist: blocklist }, showSaveStatus);
     } catch (error) {
-      console.error('Error saving min followers:', error);
+      console.error('Error saving account lists:', error);
+      showSaveError();
+    }
+  }
+
+  // Save reply templates, one per line
+  replyTemplatesInput.addEventListener('change', function() {
+    try {
+      chrome.storage.sync.set({ replyTemplates: parseLines(this.value) }, showSaveStatus);
+    } catch (error) {
+      console.error('Error saving reply templates:', error);
       showSaveError();
     }
   });
 
-  function showSaveStatus() {
-    statusElement.textContent = 'Settings saved!';
+  function parseHandles(text) {
+    const handles = parseLines(text).map(line => line.replace(/^@/, '').toLowerCase());
+    return handles.filter((handle, index) => handles.indexOf(handle) === index);
+  }
+
+  // Ask the active tab which surface it shows and how many tweets have an
+  // unknown follower count
+  function loadPageStats() {
+    chrome.tabs.query({ active: true, currentWindow: true }, function(tabs) {
+      if (!tabs || !tabs[0]) return;
+
+      chrome.tabs.sendMessage(tabs[0].id, { type: 'getStats' }, function(response) {
+        // Start on the settings for the surface being viewed
+        if (!chrome.runtime.lastError && response && response.surface) {
+          surfaceSelect.value = response.surface;
+          loadSurfaceSettings();
+        }
+
+        // No content script on this tab
+        if (chrome.runtime.lastError || !response || !response.active) {
+          unknownCountElement.textContent = '';
+          return;
+        }
+        const count = response.stats.unknownFollowers;
+        unknownCountElement.textContent = `${count} tweet${count === 1 ? '' : 's'} on this page with an unknown count`;
+      });
+    });
+  }
+
+  loadPageStats();
+
+  function parseLines(text) {
+    return text.split('\n').map(line => line.trim()).filter(Boolean);
+  }
+
+  function showSaveStatus(message) {
+    statusElement.textContent = typeof message === 'string' ? message : 'Settings saved!';
     statusElement.style.opacity = '1';
     statusElement.style.backgroundColor = '#E8F5FD';
     statusElement.style.color = '#1D9BF0';
@@ -110,8 +933,8 @@ document.addEventListener('DOMContentLoaded', function() {
     }, 1500);
   }
   
-  function showSaveError() {
-    statusElement.textContent = 'Error saving settings!';
+  function showSaveError(message) {
+    statusElement.textContent = message || 'Error saving settings!';
     statusElement.style.opacity = '1';
     statusElement.style.backgroundColor = '#FFEBED';
     statusElement.style.color = '#F4212E';
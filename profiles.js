@@ -0,0 +1,211 @@
+/**
+ * Reply Guy - Chrome Extension
+ * Named filter profiles, shared by the popup and the content script
+ * Features:
+ * - Profiles bundle every filter setting under a name ("morning sweep", "deep dive")
+ * - Create, rename, duplicate, delete and switch profiles
+ * - Switching writes the profile's settings to the regular settings keys, so
+ *   content scripts react through chrome.storage.onChanged as for any other change
+ * - The settings in use are saved back to the outgoing profile on every switch
+ * - Each profile is stored under its own key, so well-filled profiles don't
+ *   share chrome.storage.sync's per-item size limit
+ */
+
+// Filter settings bundled by a profile, as flagged in SETTINGS_SCHEMA (settings.js)
+const PROFILE_SETTING_KEYS = SETTING_KEYS.filter(key => SETTINGS_SCHEMA[key].profile);
+
+// Profiles are stored as "profile:<id>" keys, in the order of the profileIds
+// list. Older versions kept them all in a single `profiles` list, which is
+// read until the next save replaces it.
+const PROFILE_KEY_PREFIX = 'profile:';
+
+function getProfileKey(profileId) {
+  return PROFILE_KEY_PREFIX + profileId;
+}
+
+// The stored profiles, in order, out of a chrome.storage.sync.get(null) result
+function readStoredProfiles(result) {
+  if (Array.isArray(result.profileIds)) {
+    return result.profileIds.map(id => result[getProfileKey(id)]).filter(Boolean);
+  }
+  return Array.isArray(result.profiles) ? result.profiles : [];
+}
+
+// Read the profiles, creating a "Default" profile from the current settings
+// the first time. The callback receives (profiles, activeProfileId, result).
+function loadProfiles(callback) {
+  chrome.storage.sync.get(null, function(result) {
+    let profiles = readStoredProfiles(result);
+    let activeProfileId = result.activeProfileId;
+
+    if (profiles.length === 0) {
+      profiles = [{ id: 'default', name: 'Default', settings: pickProfileSettings(result) }];
+      activeProfileId = 'default';
+    }
+    if (!profiles.some(profile => profile.id === activeProfileId)) {
+      activeProfileId = profiles[0].id;
+    }
+
+    callback(profiles, activeProfileId, result);
+  });
+}
+
+// The profile settings out of a storage result, normalized, with defaults for
+// missing keys
+function pickProfileSettings(result) {
+  const picked = {};
+  const normalized = normalizeSettings(result);
+  PROFILE_SETTING_KEYS.forEach(key => {
+    picked[key] = normalized[key];
+  });
+  return picked;
+}
+
+function generateProfileId() {
+  return 'p' + Date.now().toString(36) + Math.random().toString(36).slice(2, 6);
+}
+
+// Store values along with a `profiles` list, if given, which is split into one
+// key per profile; keys of profiles no longer in the list are removed. Quota
+// errors are reported to the callback as a message.
+function saveProfiles(values, callback) {
+  const report = function() {
+    const error = chrome.runtime.lastError;
+    if (callback) callback(error ? error.message : null);
+  };
+
+  if (!Array.isArray(values.profiles)) {
+    chrome.storage.sync.set(values, report);
+    return;
+  }
+
+  const stored = Object.assign({}, values, { profileIds: values.profiles.map(profile => profile.id) });
+  delete stored.profiles;
+  values.profiles.forEach(profile => {
+    stored[getProfileKey(profile.id)] = profile;
+  });
+
+  chrome.storage.sync.get(null, function(current) {
+    const staleKeys = Object.keys(current).filter(key =>
+      key === 'profiles' || (key.startsWith(PROFILE_KEY_PREFIX) && !(key in stored)));
+
+    chrome.storage.sync.set(stored, function() {
+      if (chrome.runtime.lastError || staleKeys.length === 0) {
+        report();
+        return;
+      }
+      chrome.storage.sync.remove(staleKeys, report);
+    });
+  });
+}
+
+// Make a profile active and apply its settings
+function switchProfile(profileId, callback) {
+  loadProfiles(function(profiles, activeProfileId, result) {
+    const target = profiles.find(profile => profile.id === profileId);
+    if (!target) {
+      if (callback) callback('Profile not found');
+      return;
+    }
+
+    // Keep the outgoing profile up to date with any edits made while it was active
+    const current = profiles.find(profile => profile.id === activeProfileId);
+    if (current) {
+      current.settings = pickProfileSettings(result);
+    }
+
+    const values = Object.assign(pickProfileSettings(target.settings), {
+      profiles: profiles,
+      activeProfileId: target.id
+    });
+    saveProfiles(values, function(error) {
+      if (callback) callback(error, target);
+    });
+  });
+}
+
+// Switch to the profile after the active one, wrapping around
+function cycleProfile(callback) {
+  loadProfiles(function(profiles, activeProfileId) {
+    const index = profiles.findIndex(profile => profile.id === activeProfileId);
+    switchProfile(profiles[(index + 1) % profiles.length].id, callback);
+  });
+}
+
+// Create a profile with the default filter settings and switch to it
+function createProfile(name, callback) {
+  loadProfiles(function(profiles) {
+    const profile = { id: generateProfileId(), name: name, settings: pickProfileSettings({}) };
+    saveProfiles({ profiles: profiles.concat(profile) }, function(error) {
+      if (error) {
+        if (callback) callback(error);
+        return;
+      }
+      switchProfile(profile.id, callback);
+    });
+  });
+}
+
+// Copy a profile under a new name and switch to the copy
+function duplicateProfile(profileId, name, callback) {
+  loadProfiles(function(profiles, activeProfileId, result) {
+    const source = profiles.find(profile => profile.id === profileId);
+    if (!source) {
+      if (callback) callback('Profile not found');
+      return;
+    }
+
+    // The active profile's latest settings are the ones in use
+    const settings = source.id === activeProfileId ? pickProfileSettings(result) : source.settings;
+    const profile = { id: generateProfileId(), name: name, settings: JSON.parse(JSON.stringify(settings)) };
+    saveProfiles({ profiles: profiles.concat(profile), activeProfileId: activeProfileId }, function(error) {
+      if (error) {
+        if (callback) callback(error);
+        return;
+      }
+      switchProfile(profile.id, callback);
+    });
+  });
+}
+
+function renameProfile(profileId, name, callback) {
+  loadProfiles(function(profiles, activeProfileId) {
+    const profile = profiles.find(candidate => candidate.id === profileId);
+    if (!profile) {
+      if (callback) callback('Profile not found');
+      return;
+    }
+
+    profile.name = name;
+    saveProfiles({ profiles: profiles, activeProfileId: activeProfileId }, callback);
+  });
+}
+
+// Delete a profile; the last one can't be deleted. Deleting the active
+// profile switches to the first remaining one.
+function deleteProfile(profileId, callback) {
+  loadProfiles(function(profiles, activeProfileId) {
+    if (!profiles.some(profile => profile.id === profileId)) {
+      if (callback) callback('Profile not found');
+      return;
+    }
+    if (profiles.length <= 1) {
+      if (callback) callback('The last profile can\'t be deleted');
+      return;
+    }
+
+    const remaining = profiles.filter(profile => profile.id !== profileId);
+    if (profileId !== activeProfileId) {
+      saveProfiles({ profiles: remaining, activeProfileId: activeProfileId }, callback);
+      return;
+    }
+
+    // Drop the active profile without saving its settings, then apply the next one
+    const next = remaining[0];
+    const values = Object.assign(pickProfileSettings(next.settings), {
+      profiles: remaining,
+      activeProfileId: next.id
+    });
+    saveProfiles(values, callback);
+  });
+}
@@ -0,0 +1,224 @@
+/**
+ * Reply Guy - Chrome Extension
+ * Export and import of all settings, lists, profiles and schedules as JSON
+ * Features:
+ * - Versioned export files, migrated to the current version on import
+ * - Validation of every imported value before anything is stored
+ * - Replace mode (the file becomes the new setup) and merge mode (lists are
+ *   combined and the file's profiles and schedules added, leaving the current
+ *   settings, profiles and schedules as they are)
+ */
+
+const SETTINGS_EXPORT_FORMAT = 'reply-guy-settings';
+const SETTINGS_EXPORT_VERSION = 1;
+
+// Settings holding lists that merge mode combines instead of replacing
+const MERGED_LIST_KEYS = ['muteKeywords', 'mutePhrases', 'muteRegexes', 'allowlist', 'blocklist'];
+
+// A schedule's start and end time, "HH:MM" (also checked by the popup before saving)
+const SCHEDULE_TIME_PATTERN = /^([01]\d|2[0-3]):[0-5]\d$/;
+
+// Upgrades from each older file version to the next one
+const SETTINGS_EXPORT_MIGRATIONS = {
+  // Version 0: no envelope, just the storage keys (e.g. enabled, maxAge,
+  // followerFilterEnabled, minFollowers) at the top level
+  0: function(data) {
+    const settings = {};
+    SETTING_KEYS.forEach(key => {
+      if (data[key] !== undefined) settings[key] = data[key];
+    });
+    return {
+      format: SETTINGS_EXPORT_FORMAT,
+      version: 1,
+      settings: settings,
+      profiles: data.profiles,
+      activeProfileId: data.activeProfileId,
+      schedules: data.schedules
+    };
+  }
+};
+
+// Build the export file contents from storage
+function buildSettingsExport(callback) {
+  chrome.storage.sync.get(null, function(result) {
+    callback({
+      format: SETTINGS_EXPORT_FORMAT,
+      version: SETTINGS_EXPORT_VERSION,
+      exportedAt: new Date().toISOString(),
+      settings: normalizeSettings(result),
+      profiles: readStoredProfiles(result),
+      activeProfileId: result.activeProfileId || null,
+      schedules: Array.isArray(result.schedules) ? result.schedules : []
+    });
+  });
+}
+
+// Parse, migrate and validate an export file. Throws an Error describing
+// every problem found.
+function parseSettingsImport(text) {
+  let data;
+  try {
+    data = JSON.parse(text);
+  } catch (error) {
+    throw new Error('The file is not valid JSON');
+  }
+  if (!isPlainObject(data)) {
+    throw new Error('The file does not contain Reply Guy settings');
+  }
+  if (data.format !== undefined && data.format !== SETTINGS_EXPORT_FORMAT) {
+    throw new Error('The file does not contain Reply Guy settings');
+  }
+
+  data = migrateSettingsExport(data);
+
+  const errors = [];
+  const settings = isPlainObject(data.settings) ? data.settings : {};
+  if (data.settings !== undefined && !isPlainObject(data.settings)) {
+    errors.push('settings must be an object');
+  }
+  errors.push(...validateSettings(settings, 'settings'));
+
+  const profiles = data.profiles === undefined || data.profiles === null ? [] : data.profiles;
+  if (!Array.isArray(profiles)) {
+    errors.push('profiles must be a list');
+  } else {
+    profiles.forEach((profile, index) => {
+      const path = `profiles[${index}]`;
+      if (!isPlainObject(profile) || typeof profile.id !== 'string' || typeof profile.name !== 'string' || !isPlainObject(profile.settings)) {
+        errors.push(`${path} needs an id, a name and settings`);
+        return;
+      }
+      errors.push(...validateSettings(profile.settings, `${path}.settings`));
+    });
+  }
+
+  const schedules = data.schedules === undefined || data.schedules === null ? [] : data.schedules;
+  if (!Array.isArray(schedules)) {
+    errors.push('schedules must be a list');
+  } else {
+    schedules.forEach((schedule, index) => {
+      const validDays = isPlainObject(schedule) && Array.isArray(schedule.days) &&
+        schedule.days.every(day => Number.isInteger(day) && day >= 0 && day <= 6);
+      if (!validDays || typeof schedule.id !== 'string' || typeof schedule.profileId !== 'string' ||
+          !SCHEDULE_TIME_PATTERN.test(schedule.start) || !SCHEDULE_TIME_PATTERN.test(schedule.end)) {
+        errors.push(`schedules[${index}] needs an id, a profile, days and HH:MM start and end times`);
+      }
+    });
+  }
+
+  if (errors.length > 0) {
+    throw new Error(`Invalid settings file: ${errors.join('; ')}`);
+  }
+
+  return {
+    settings: pickKnownSettings(settings),
+    profiles: profiles.map(profile => Object.assign({}, profile, { settings: pickKnownSettings(profile.settings) })),
+    activeProfileId: typeof data.activeProfileId === 'string' ? data.activeProfileId : null,
+    schedules: schedules
+  };
+}
+
+function migrateSettingsExport(data) {
+  let version = typeof data.version === 'number' ? data.version : 0;
+  if (version > SETTINGS_EXPORT_VERSION) {
+    throw new Error('The file was exported by a newer version of Reply Guy');
+  }
+
+  while (version < SETTINGS_EXPORT_VERSION) {
+    data = SETTINGS_EXPORT_MIGRATIONS[version](data);
+    version = data.version;
+  }
+  return data;
+}
+
+// Drop keys this version doesn't know about and bring legacy values up to date
+function pickKnownSettings(settings) {
+  const known = {};
+  Object.keys(settings).forEach(key => {
+    if (SETTINGS_SCHEMA[key]) known[key] = normalizeSetting(key, settings[key]);
+  });
+  return known;
+}
+
+// Check each known setting against SETTINGS_SCHEMA, after migrating legacy
+// values. Unknown keys are ignored.
+function validateSettings(settings, path) {
+  const errors = [];
+
+  Object.keys(settings).forEach(key => {
+    const schema = SETTINGS_SCHEMA[key];
+    if (!schema) return;
+
+    const value = schema.migrate ? schema.migrate(settings[key]) : settings[key];
+    if (!isValidSetting(key, value)) {
+      errors.push(`${path}.${key} has an invalid value`);
+    }
+  });
+
+  return errors;
+}
+
+// Store an imported setup. 'replace' resets everything not in the file to
+// its default; 'merge' keeps the current setup and adds the file's lists,
+// profiles and schedules to it.
+function applySettingsImport(imported, mode, callback) {
+  // Without stored profiles, loadProfiles() gives the current settings a
+  // Default profile, so merging keeps them as one and keeps them active
+  loadProfiles(function(profiles, activeProfileId, current) {
+    let values;
+
+    if (mode === 'replace') {
+      values = Object.assign(getDefaultSettings(), imported.settings, {
+        profiles: imported.profiles,
+        activeProfileId: imported.activeProfileId,
+        schedules: imported.schedules
+      });
+    } else {
+      // Settings that aren't lists stay as they are
+      values = {};
+      MERGED_LIST_KEYS.forEach(key => {
+        if (!imported.settings[key]) return;
+        const existing = Array.isArray(current[key]) ? current[key] : [];
+        values[key] = existing.concat(imported.settings[key].filter(item => !existing.includes(item)));
+      });
+
+      // A handle can only be on one account list; the file wins
+      const importedAllowlist = imported.settings.allowlist || [];
+      const importedBlocklist = imported.settings.blocklist || [];
+      values.allowlist = (values.allowlist || current.allowlist || []).filter(handle => !importedBlocklist.includes(handle));
+      values.blocklist = (values.blocklist || current.blocklist || []).filter(handle => !importedAllowlist.includes(handle));
+
+      const profileIds = {}; // imported profile ID -> the ID it is stored under
+      values.activeProfileId = activeProfileId;
+      values.profiles = profiles.concat(imported.profiles.map(profile => {
+        const added = addWithoutCollision(profiles, profile, generateProfileId, ' (imported)');
+        profileIds[profile.id] = added.id;
+        return added;
+      }));
+
+      const schedules = Array.isArray(current.schedules) ? current.schedules : [];
+      values.schedules = schedules.concat(imported.schedules.map(schedule => addWithoutCollision(schedules,
+        Object.assign({}, schedule, { profileId: profileIds[schedule.profileId] || schedule.profileId }),
+        generateScheduleId)));
+    }
+
+    saveProfiles(values, callback);
+  });
+}
+
+// An item to add to a list, with a new ID (and a suffix on its name) if the
+// list already has one with its ID. Every install's first profile is
+// "default", so a teammate's Default profile comes in as "Default (imported)".
+function addWithoutCollision(existing, item, createId, nameSuffix) {
+  if (!existing.some(candidate => candidate.id === item.id)) return item;
+
+  const added = Object.assign({}, item, { id: createId() });
+  if (nameSuffix) {
+    added.name = item.name + nameSuffix;
+  }
+  return added;
+}
+
+function generateScheduleId() {
+  return 's' + Date.now().toString(36) + Math.random().toString(36).slice(2, 6);
+}
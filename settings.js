@@ -0,0 +1,294 @@
+/**
+ * Reply Guy - Chrome Extension
+ * Settings schema shared by the content script, popup and service worker
+ * Features:
+ * - Declares every setting's type, default, allowed range or values, and how
+ *   legacy stored values are migrated
+ * - Reads settings from chrome.storage.sync already normalized, so invalid or
+ *   legacy values never reach the filter
+ * - Validation used by the popup and by settings import
+ * - One-off migration of stored values when the stored schema version changes
+ * - Parsing and formatting of durations such as "45m", "3h" or "1d 6h"
+ */
+
+const SETTINGS_VERSION = 1;
+
+const ENGAGEMENT_METRICS = ['replies', 'reposts', 'likes', 'views'];
+const SCORE_FACTORS = ['recency', 'followers', 'velocity', 'competition'];
+
+// Each setting: type ('boolean', 'number', 'enum', 'list' of strings or
+// 'object'), default, optional min/max/integer/nullable for numbers, values
+// for enums, migrate() for legacy stored values, and whether profiles bundle it
+const SETTINGS_SCHEMA = {
+  enabled: { type: 'boolean', default: true },
+  maxAge: { type: 'number', default: 120, min: 1, max: 43200, integer: true, profile: true, migrate: parseDurationSetting },
+  minAge: { type: 'number', default: 0, min: 0, max: 1440, integer: true, profile: true, migrate: parseDurationSetting },
+  ageWindow: { type: 'enum', values: ['maxAge', 'lastVisit'], default: 'maxAge', profile: true },
+  displayMode: { type: 'enum', values: ['hide', 'collapse'], default: 'hide', profile: true },
+  followerFilterEnabled: { type: 'boolean', default: false, profile: true },
+  minFollowers: { type: 'number', default: 2000, min: 0, integer: true, profile: true, migrate: parseNumericString },
+  authorCacheTtl: { type: 'number', default: 24, min: 1, max: 720, integer: true, migrate: parseNumericString },
+  unknownFollowerPolicy: { type: 'enum', values: ['show', 'hide', 'hold'], default: 'show', profile: true },
+  muteFilterEnabled: { type: 'boolean', default: false, profile: true },
+  muteKeywords: { type: 'list', default: [], profile: true },
+  mutePhrases: { type: 'list', default: [], profile: true },
+  muteRegexes: { type: 'list', default: [], profile: true, isValidItem: isValidPattern },
+  muteCaseSensitive: { type: 'boolean', default: false, profile: true },
+  muteWholeWord: { type: 'boolean', default: false, profile: true },
+  allowlist: { type: 'list', default: [], profile: true, migrate: normalizeHandleList },
+  blocklist: { type: 'list', default: [], profile: true, migrate: normalizeHandleList },
+  engagementFilterEnabled: { type: 'boolean', default: false, profile: true },
+  engagementThresholds: { type: 'object', default: {}, profile: true, isValid: isValidEngagementThresholds },
+  minVelocity: { type: 'number', default: null, min: 0, nullable: true, profile: true },
+  seenFilterEnabled: { type: 'boolean', default: false, profile: true },
+  scoringEnabled: { type: 'boolean', default: false, profile: true },
+  scoreWeights: { type: 'object', default: { recency: 3, followers: 2, velocity: 3, competition: 2 }, profile: true, isValid: isValidScoreWeights },
+  highlightTopN: { type: 'number', default: 0, min: 0, max: 50, integer: true, profile: true, migrate: parseNumericString },
+  repliedDisplay: { type: 'enum', values: ['show', 'badge', 'hide'], default: 'badge', profile: true },
+  seenDwellSeconds: { type: 'number', default: 2, min: 0, max: 60, migrate: parseNumericString },
+  surfaces: { type: 'object', default: {}, profile: true, isValid: isValidSurfaces },
+  replyTemplates: { type: 'list', default: [] }
+};
+
+const SETTING_KEYS = Object.keys(SETTINGS_SCHEMA);
+
+// Stored schema upgrades, from each older version to the next. Version 0
+// stored numbers as strings and handles with their "@".
+const STORED_SETTINGS_MIGRATIONS = {
+  0: function(stored) {
+    const migrated = {};
+    Object.keys(stored).forEach(key => {
+      const schema = SETTINGS_SCHEMA[key];
+      migrated[key] = schema && schema.migrate ? schema.migrate(stored[key]) : stored[key];
+    });
+    return migrated;
+  }
+};
+
+// A fresh copy of every default
+function getDefaultSettings() {
+  const defaults = {};
+  SETTING_KEYS.forEach(key => {
+    defaults[key] = copySettingValue(SETTINGS_SCHEMA[key].default);
+  });
+  return defaults;
+}
+
+// Whether a value is allowed for a setting, without any conversion
+function isValidSetting(key, value) {
+  const schema = SETTINGS_SCHEMA[key];
+  if (!schema) return false;
+
+  switch (schema.type) {
+    case 'boolean':
+      return typeof value === 'boolean';
+    case 'enum':
+      return schema.values.includes(value);
+    case 'number':
+      if (value === null) return schema.nullable === true;
+      return typeof value === 'number' && isFinite(value) &&
+        (!schema.integer || Number.isInteger(value)) &&
+        (schema.min === undefined || value >= schema.min) &&
+        (schema.max === undefined || value <= schema.max);
+    case 'list':
+      return Array.isArray(value) && value.every(item =>
+        typeof item === 'string' && (!schema.isValidItem || schema.isValidItem(item)));
+    case 'object':
+      return isPlainObject(value) && (!schema.isValid || schema.isValid(value));
+    default:
+      return false;
+  }
+}
+
+// The value to use for a setting: legacy values are migrated, numbers are
+// clamped into range, and anything else invalid falls back to the default
+function normalizeSetting(key, value) {
+  const schema = SETTINGS_SCHEMA[key];
+  if (schema.migrate) {
+    value = schema.migrate(value);
+  }
+  if (isValidSetting(key, value)) {
+    return copySettingValue(value);
+  }
+
+  if (schema.type === 'number' && typeof value === 'number' && isFinite(value)) {
+    let clamped = schema.integer ? Math.round(value) : value;
+    if (schema.min !== undefined) clamped = Math.max(schema.min, clamped);
+    if (schema.max !== undefined) clamped = Math.min(schema.max, clamped);
+    return clamped;
+  }
+  if (schema.type === 'list' && Array.isArray(value) && schema.isValidItem) {
+    return value.filter(item => typeof item === 'string' && schema.isValidItem(item));
+  }
+
+  return copySettingValue(schema.default);
+}
+
+// Normalize every setting in a storage result, filling in defaults
+function normalizeSettings(stored) {
+  const normalized = {};
+  SETTING_KEYS.forEach(key => {
+    normalized[key] = stored[key] === undefined ? copySettingValue(SETTINGS_SCHEMA[key].default) : normalizeSetting(key, stored[key]);
+  });
+  return normalized;
+}
+
+// Normalized new values of the settings in a chrome.storage.onChanged event;
+// removed settings go back to their default
+function normalizeSettingChanges(changes) {
+  const updated = {};
+  Object.keys(changes).forEach(key => {
+    if (!SETTINGS_SCHEMA[key]) return;
+    const value = changes[key].newValue;
+    updated[key] = value === undefined ? copySettingValue(SETTINGS_SCHEMA[key].default) : normalizeSetting(key, value);
+  });
+  return updated;
+}
+
+// Read all settings, normalized
+function readSettings(callback) {
+  chrome.storage.sync.get(SETTING_KEYS, function(result) {
+    callback(normalizeSettings(result));
+  });
+}
+
+// Upgrade stored values written by older versions and record the current
+// schema version. Only settings that are stored and actually change are written.
+function migrateStoredSettings(callback) {
+  chrome.storage.sync.get(SETTING_KEYS.concat(['settingsVersion']), function(result) {
+    let version = typeof result.settingsVersion === 'number' ? result.settingsVersion : 0;
+    if (version >= SETTINGS_VERSION) {
+      if (callback) callback();
+      return;
+    }
+
+    const stored = {};
+    SETTING_KEYS.forEach(key => {
+      if (result[key] !== undefined) stored[key] = result[key];
+    });
+
+    let migrated = stored;
+    while (version < SETTINGS_VERSION) {
+      migrated = STORED_SETTINGS_MIGRATIONS[version](migrated);
+      version++;
+    }
+
+    const values = { settingsVersion: SETTINGS_VERSION };
+    Object.keys(migrated).forEach(key => {
+      const value = normalizeSetting(key, migrated[key]);
+      if (JSON.stringify(value) !== JSON.stringify(stored[key])) {
+        values[key] = value;
+      }
+    });
+    chrome.storage.sync.set(values, callback);
+  });
+}
+
+// Older popups stored select values as strings
+function parseNumericString(value) {
+  if (typeof value === 'string' && /^\s*\d+(\.\d+)?\s*$/.test(value)) {
+    return parseFloat(value);
+  }
+  return value;
+}
+
+// Durations may be stored as text ("3h") by hand-edited imports
+function parseDurationSetting(value) {
+  if (typeof value !== 'string') return value;
+  const minutes = parseDuration(value);
+  return minutes === null ? value : minutes;
+}
+
+// Handles are stored lowercase without the "@"
+function normalizeHandleList(value) {
+  if (!Array.isArray(value)) return value;
+
+  const handles = value
+    .filter(handle => typeof handle === 'string')
+    .map(handle => handle.trim().replace(/^@/, '').toLowerCase())
+    .filter(Boolean);
+  return handles.filter((handle, index) => handles.indexOf(handle) === index);
+}
+
+// metric -> { min, max }, each a non-negative number or null for no limit
+function isValidEngagementThresholds(thresholds) {
+  return Object.keys(thresholds).every(metric => {
+    const limits = thresholds[metric];
+    return ENGAGEMENT_METRICS.includes(metric) && isPlainObject(limits) &&
+      ['min', 'max'].every(limit => limits[limit] === undefined || limits[limit] === null ||
+        (typeof limits[limit] === 'number' && limits[limit] >= 0));
+  });
+}
+
+// factor -> weight from 0 to 10, for every scoring factor
+function isValidScoreWeights(weights) {
+  return SCORE_FACTORS.every(factor => typeof weights[factor] === 'number' && weights[factor] >= 0 && weights[factor] <= 10) &&
+    Object.keys(weights).every(factor => SCORE_FACTORS.includes(factor));
+}
+
+// surface -> { enabled, maxAge, followerFilterEnabled, minFollowers }, with
+// null meaning the global setting
+function isValidSurfaces(surfaces) {
+  return Object.keys(surfaces).every(surface => {
+    const config = surfaces[surface];
+    return isPlainObject(config) &&
+      (config.enabled === undefined || typeof config.enabled === 'boolean') &&
+      ['maxAge', 'minFollowers'].every(key => config[key] === undefined || config[key] === null || isValidSetting(key, config[key])) &&
+      (config.followerFilterEnabled === undefined || config.followerFilterEnabled === null || typeof config.followerFilterEnabled === 'boolean');
+  });
+}
+
+// "45m", "3h", "1d 6h" or "1h30m" -> minutes; a bare number is minutes.
+// Returns null for anything else.
+function parseDuration(text) {
+  const units = { d: 1440, day: 1440, days: 1440, h: 60, hr: 60, hrs: 60, hour: 60, hours: 60,
+    m: 1, min: 1, mins: 1, minute: 1, minutes: 1 };
+  const trimmed = String(text).trim().toLowerCase();
+  if (!trimmed) return null;
+
+  const pattern = /(\d+(?:\.\d+)?)\s*([a-z]*)\s*/g;
+  let minutes = 0;
+  let consumed = 0;
+  let match;
+  while ((match = pattern.exec(trimmed)) !== null && match.index === consumed) {
+    const unit = match[2] || 'm';
+    if (!units[unit]) return null;
+    minutes += parseFloat(match[1]) * units[unit];
+    consumed = pattern.lastIndex;
+  }
+  return consumed === trimmed.length ? Math.round(minutes) : null;
+}
+
+// Minutes -> "2h", "1d 6h"; longer durations are rounded to their largest units
+function formatDuration(minutes, maxParts = 2) {
+  const units = [['d', 1440], ['h', 60], ['m', 1]];
+  const parts = [];
+  let remaining = Math.max(0, Math.round(minutes));
+
+  units.forEach(([unit, size]) => {
+    const value = Math.floor(remaining / size);
+    if (value > 0 && parts.length < maxParts) {
+      parts.push(`${value}${unit}`);
+      remaining -= value * size;
+    }
+  });
+
+  return parts.length > 0 ? parts.join(' ') : '0m';
+}
+
+function copySettingValue(value) {
+  return value !== null && typeof value === 'object' ? JSON.parse(JSON.stringify(value)) : value;
+}
+
+function isPlainObject(value) {
+  return typeof value === 'object' && value !== null && !Array.isArray(value);
+}
+
+function isValidPattern(pattern) {
+  try {
+    new RegExp(pattern);
+    return true;
+  } catch (error) {
+    return false;
+  }
+}
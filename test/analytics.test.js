@@ -0,0 +1,33 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { loadFixture } = require('./helpers/extension');
+
+// Export one row with the given tweet text and return its CSV data line
+function exportTextAsCsv(page, text) {
+  const row = { id: '1808501000000000001', author: 'alice', followers: 120, text: text, decision: 'shown' };
+  return page.evaluate(`formatDecisionLog([${JSON.stringify(row)}], 'csv')`).split('\r\n')[1];
+}
+
+test('formatDecisionLog: cells a spreadsheet would run as formulas are kept as text', async () => {
+  const page = await loadFixture('for-you.html');
+  try {
+    assert.equal(exportTextAsCsv(page, '=HYPERLINK("http://example.com","hi")'), `1808501000000000001,alice,120,,"'=HYPERLINK(""http://example.com"",""hi"")",shown,,,`);
+    assert.equal(exportTextAsCsv(page, '+1 agree'), "1808501000000000001,alice,120,,'+1 agree,shown,,,");
+    assert.equal(exportTextAsCsv(page, '-2+3'), "1808501000000000001,alice,120,,'-2+3,shown,,,");
+    assert.equal(exportTextAsCsv(page, '@SUM(1+1)'), "1808501000000000001,alice,120,,'@SUM(1+1),shown,,,");
+    assert.equal(exportTextAsCsv(page, '\t=1+1'), "1808501000000000001,alice,120,,'\t=1+1,shown,,,");
+    assert.equal(exportTextAsCsv(page, '\r=1+1'), `1808501000000000001,alice,120,,"'\r=1+1",shown,,,`);
+  } finally {
+    page.close();
+  }
+});
+
+test('formatDecisionLog: ordinary cells are only quoted when they need it', async () => {
+  const page = await loadFixture('for-you.html');
+  try {
+    assert.equal(exportTextAsCsv(page, 'a = b, + c'), '1808501000000000001,alice,120,,"a = b, + c",shown,,,');
+    assert.equal(exportTextAsCsv(page, 'gm'), '1808501000000000001,alice,120,,gm,shown,,,');
+  } finally {
+    page.close();
+  }
+});
@@ -0,0 +1,65 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { loadFixture } = require('./helpers/extension');
+
+// Saved 2024-07-03 11:43:20 UTC, just before the fixture
+const CACHED_AT = 1720007000000;
+
+test('For you: hides old tweets, muted words and small accounts', async () => {
+  const page = await loadFixture('for-you.html', {
+    sync: { muteFilterEnabled: true, muteKeywords: ['crypto'], followerFilterEnabled: true },
+    local: {
+      authorCache: {
+        alice: { followers: 50000, updatedAt: CACHED_AT },
+        erin: { followers: 120, updatedAt: CACHED_AT }
+      }
+    }
+  });
+  try {
+    page.filter();
+    const decisions = page.decisions();
+
+    assert.equal(decisions['1808501000000000001'].action, 'show');
+    assert.equal(decisions['1808427000000000002'].reason, 'time');
+    assert.equal(decisions['1808502000000000004'].reason, 'keywords');
+    assert.equal(decisions['1808497000000000005'].reason, 'followers');
+    // Unknown follower counts are shown by default
+    assert.equal(decisions['1808495000000000006'].action, 'show');
+
+    assert.equal(page.isHidden(page.tweet('1808427000000000002')), true);
+    assert.equal(page.isHidden(page.tweet('1808501000000000001')), false);
+    assert.deepEqual(page.errors, []);
+  } finally {
+    page.close();
+  }
+});
+
+test('For you: a reply to a hidden tweet is hidden with it', async () => {
+  const page = await loadFixture('for-you.html');
+  try {
+    page.filter();
+    const decision = page.decisions()['1808499000000000003'];
+
+    assert.equal(decision.action, 'hide');
+    assert.equal(decision.reason, 'parent_filtered');
+    assert.equal(page.isHidden(page.tweet('1808499000000000003')), true);
+  } finally {
+    page.close();
+  }
+});
+
+test('For you: a tweet hidden for slow engagement appears once it takes off', async () => {
+  const page = await loadFixture('for-you.html', { sync: { engagementFilterEnabled: true, minVelocity: 10 } });
+  try {
+    page.filter();
+    // 202 engagements in 45 minutes
+    assert.equal(page.decisions()['1808495000000000006'].reason, 'velocity');
+
+    page.tweet('1808495000000000006').querySelector('[data-testid="like"]').setAttribute('aria-label', '600 Likes. Like');
+    page.filter();
+    assert.equal(page.decisions()['1808495000000000006'].action, 'show');
+    assert.equal(page.isHidden(page.tweet('1808495000000000006')), false);
+  } finally {
+    page.close();
+  }
+});
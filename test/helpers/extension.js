@@ -0,0 +1,317 @@
+/**
+ * Reply Guy - test helper
+ * Loads a saved X.com page into jsdom and runs the extension's content scripts
+ * on it, as listed in manifest.json, against a stubbed chrome API
+ * Features:
+ * - In-memory chrome.storage (sync, local and session) with onChanged events
+ * - The page's clock is set to the time the fixture was saved, so tweet ages
+ *   match the snapshot
+ * - fetch and XMLHttpRequest answered from saved X API responses
+ * - Helpers to run the filter and read its decisions
+ * - The popup's scripts can be run on their own, on an empty page
+ */
+
+const fs = require('fs');
+const path = require('path');
+const vm = require('vm');
+const { JSDOM, VirtualConsole } = require('jsdom');
+
+const ROOT = path.join(__dirname, '..', '..');
+const FIXTURES = path.join(__dirname, '..', 'fixtures');
+const API_FIXTURES = path.join(FIXTURES, 'api');
+
+// Stand-in for the parts of the chrome extension API the scripts use.
+// Callbacks go through the page's setTimeout, so closing the page cancels them.
+function createChromeStub(initial, schedule) {
+  const areas = { sync: {}, local: {}, session: {} };
+  const listeners = [];
+  Object.keys(initial).forEach(name => {
+    areas[name] = JSON.parse(JSON.stringify(initial[name] || {}));
+  });
+
+  const copy = value => value === undefined ? undefined : JSON.parse(JSON.stringify(value));
+
+  function createArea(name) {
+    const store = areas[name];
+    return {
+      get(keys, callback) {
+        const result = {};
+        if (keys === null || keys === undefined) {
+          Object.keys(store).forEach(key => { result[key] = copy(store[key]); });
+        } else if (typeof keys === 'string' || Array.isArray(keys)) {
+          [].concat(keys).forEach(key => {
+            if (key in store) result[key] = copy(store[key]);
+          });
+        } else {
+          // An object of defaults
+          Object.keys(keys).forEach(key => {
+            result[key] = key in store ? copy(store[key]) : keys[key];
+          });
+        }
+        schedule(() => callback && callback(result), 0);
+      },
+      set(values, callback) {
+        const changes = {};
+        Object.keys(values).forEach(key => {
+          changes[key] = { oldValue: copy(store[key]), newValue: copy(values[key]) };
+          store[key] = copy(values[key]);
+        });
+        schedule(() => {
+          listeners.forEach(listener => listener(changes, name));
+          if (callback) callback();
+        }, 0);
+      },
+      remove(keys, callback) {
+        const changes = {};
+        [].concat(keys).forEach(key => {
+          if (key in store) changes[key] = { oldValue: copy(store[key]) };
+          delete store[key];
+        });
+        schedule(() => {
+          listeners.forEach(listener => listener(changes, name));
+          if (callback) callback();
+        }, 0);
+      }
+    };
+  }
+
+  return {
+    areas,
+    chrome: {
+      storage: {
+        sync: createArea('sync'),
+        local: createArea('local'),
+        session: createArea('session'),
+        onChanged: { addListener: listener => listeners.push(listener) }
+      },
+      runtime: {
+        lastError: null,
+        onMessage: { addListener() {} },
+        sendMessage() {},
+        getURL: file => `chrome-extension://reply-guy/${file}`
+      }
+    }
+  };
+}
+
+// Saved X API response bodies, by URL path ('/i/api/graphql/<id>/<name>' ->
+// 'api/<name>.json'). Other URLs answer 404.
+function readApiResponse(url) {
+  const name = new URL(url).pathname.split('/').pop();
+  const file = path.join(API_FIXTURES, `${name}.json`);
+  return fs.existsSync(file) ? fs.readFileSync(file, 'utf8') : null;
+}
+
+// fetch() and XMLHttpRequest answering from the saved responses, for the
+// page to use instead of the network
+function createNetworkStub(window) {
+  function createResponse(url, body) {
+    return {
+      url: url,
+      ok: body !== null,
+      status: body === null ? 404 : 200,
+      clone: () => createResponse(url, body),
+      json: () => body === null ? Promise.reject(new Error('Not found')) : Promise.resolve(JSON.parse(body)),
+      text: () => Promise.resolve(body || '')
+    };
+  }
+
+  function fetch(input) {
+    const url = new URL(String(input), window.location.href).href;
+    return Promise.resolve(createResponse(url, readApiResponse(url)));
+  }
+
+  class XMLHttpRequest extends window.EventTarget {
+    constructor() {
+      super();
+      this.responseType = '';
+      this.readyState = 0;
+    }
+    open(method, url) {
+      this.url = new URL(String(url), window.location.href).href;
+      this.readyState = 1;
+    }
+    send() {
+      window.setTimeout(() => {
+        const body = readApiResponse(this.url);
+        this.status = body === null ? 404 : 200;
+        this.responseText = body || '';
+        this.response = this.responseType === 'json' ? (body === null ? null : JSON.parse(body)) : this.responseText;
+        this.readyState = 4;
+        this.dispatchEvent(new window.Event('load'));
+      }, 0);
+    }
+  }
+
+  return { fetch, XMLHttpRequest };
+}
+
+// jsdom has no MessageChannel, and its postMessage() drops transferred ports
+// and the event source. Channels are recorded so they can be closed with the page.
+function installMessaging(window, channels) {
+  window.MessagePort = MessagePort;
+  window.MessageChannel = class extends MessageChannel {
+    constructor() {
+      super();
+      channels.push(this);
+    }
+  };
+  window.postMessage = function(message, targetOrigin, transfer) {
+    window.setTimeout(() => {
+      window.dispatchEvent(new window.MessageEvent('message', {
+        data: message,
+        origin: window.location.origin,
+        source: window,
+        ports: transfer || []
+      }));
+    }, 0);
+  };
+}
+
+// Fixtures name their URL and the time they were saved in <meta> tags
+function readFixture(name) {
+  const html = fs.readFileSync(path.join(FIXTURES, name), 'utf8');
+  const meta = key => {
+    const match = html.match(new RegExp(`<meta name="reply-guy-${key}" content="([^"]+)"`));
+    if (!match) throw new Error(`${name} has no reply-guy-${key} meta tag`);
+    return match[1];
+  };
+  return { html, url: meta('url'), savedAt: Date.parse(meta('saved-at')) };
+}
+
+// Replace the page's Date so "now" is when the fixture was saved
+function freezeClock(context, savedAt) {
+  vm.runInContext(`(() => {
+    const RealDate = Date;
+    const offset = ${savedAt} - RealDate.now();
+    class FixtureDate extends RealDate {
+      constructor(...args) {
+        super(...(args.length > 0 ? args : [RealDate.now() + offset]));
+      }
+      static now() {
+        return RealDate.now() + offset;
+      }
+    }
+    globalThis.Date = FixtureDate;
+  })();`, context);
+}
+
+/**
+ * Load a fixture with the content scripts running on it.
+ * options.sync and options.local seed chrome.storage.
+ */
+async function loadFixture(name, options = {}) {
+  const fixture = readFixture(name);
+  const virtualConsole = new VirtualConsole();
+  const errors = [];
+  virtualConsole.on('jsdomError', error => errors.push(error));
+
+  const dom = new JSDOM(fixture.html, {
+    url: fixture.url,
+    runScripts: 'outside-only',
+    pretendToBeVisual: true,
+    virtualConsole
+  });
+  const window = dom.window;
+  const context = dom.getInternalVMContext();
+  const stub = createChromeStub({ sync: options.sync, local: options.local }, window.setTimeout.bind(window));
+  const network = createNetworkStub(window);
+  const channels = [];
+  window.chrome = stub.chrome;
+  window.fetch = network.fetch;
+  window.XMLHttpRequest = network.XMLHttpRequest;
+  installMessaging(window, channels);
+  freezeClock(context, fixture.savedAt);
+
+  // Every script shares one world here, the page's (MAIN) and the extension's
+  // alike, run in manifest order
+  const manifest = JSON.parse(fs.readFileSync(path.join(ROOT, 'manifest.json'), 'utf8'));
+  manifest.content_scripts.forEach(script => script.js.forEach(file => {
+    new vm.Script(fs.readFileSync(path.join(ROOT, file), 'utf8'), { filename: file }).runInContext(context);
+  }));
+
+  const page = {
+    window,
+    document: window.document,
+    storage: stub.areas,
+    errors,
+    // Evaluate an expression against the content script's globals, returning plain data
+    evaluate(code) {
+      const result = vm.runInContext(`JSON.stringify(${code})`, context);
+      return result === undefined ? undefined : JSON.parse(result);
+    },
+    run(code) {
+      vm.runInContext(code, context);
+    },
+    filter() {
+      vm.runInContext('filterTweets()', context);
+    },
+    // Tweet ID -> { action, reason, rule, chain } for every decision made
+    decisions() {
+      const decisions = {};
+      page.evaluate('Array.from(filterDecisions.values())').forEach(entry => {
+        decisions[entry.id] = { action: entry.action, reason: entry.reason, rule: entry.rule, chain: entry.chain };
+      });
+      return decisions;
+    },
+    tweet(tweetId) {
+      const link = window.document.querySelector(`[data-testid="tweet"] a[href$="/status/${tweetId}"]`);
+      return link ? link.closest('[data-testid="tweet"]') : null;
+    },
+    isHidden(element) {
+      return element.classList.contains('reply-guy-filtered-tweet');
+    },
+    close() {
+      channels.forEach(channel => {
+        channel.port1.close();
+        channel.port2.close();
+      });
+      window.close();
+    }
+  };
+
+  // Let the stored settings load
+  await settle();
+  return page;
+}
+
+/**
+ * Run extension scripts that don't belong to X.com pages, like the popup's,
+ * in order on an empty page. options.sync and options.local seed
+ * chrome.storage.
+ */
+function loadScripts(files, options = {}) {
+  const dom = new JSDOM('<!DOCTYPE html><body></body>', {
+    url: 'chrome-extension://reply-guy/popup.html',
+    runScripts: 'outside-only'
+  });
+  const window = dom.window;
+  const context = dom.getInternalVMContext();
+  const stub = createChromeStub({ sync: options.sync, local: options.local }, window.setTimeout.bind(window));
+  window.chrome = stub.chrome;
+
+  files.forEach(file => {
+    new vm.Script(fs.readFileSync(path.join(ROOT, file), 'utf8'), { filename: file }).runInContext(context);
+  });
+
+  return {
+    window,
+    storage: stub.areas,
+    evaluate(code) {
+      const result = vm.runInContext(`JSON.stringify(${code})`, context);
+      return result === undefined ? undefined : JSON.parse(result);
+    },
+    run(code) {
+      vm.runInContext(code, context);
+    },
+    close() {
+      window.close();
+    }
+  };
+}
+
+function settle(ms = 20) {
+  return new Promise(resolve => setTimeout(resolve, ms));
+}
+
+module.exports = { loadFixture, loadScripts, settle };
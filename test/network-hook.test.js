@@ -0,0 +1,91 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { loadFixture, settle } = require('./helpers/extension');
+
+const API = 'https://x.com/i/api/graphql/Xq8DrQBvsT2xQ3BHwSf8uQ';
+
+function cachedAuthor(page, handle) {
+  return page.evaluate(`getCachedAuthor('${handle}')`);
+}
+
+test('network hook: reads every User in a fetched timeline, in both layouts', async () => {
+  const page = await loadFixture('for-you.html');
+  try {
+    page.run(`fetch('${API}/HomeTimeline?variables=%7B%7D')`);
+    await settle();
+
+    // Screen name and creation date under `core`
+    const alice = cachedAuthor(page, 'alice');
+    assert.equal(alice.followers, 50000);
+    assert.equal(alice.verified, true);
+    assert.equal(alice.createdAt, '2006-03-21T20:50:14.000Z');
+    // Under `legacy`, including the author of a quoted tweet
+    assert.equal(cachedAuthor(page, 'frank').followers, 1500);
+    assert.equal(cachedAuthor(page, 'bob').followers, 980);
+    assert.equal(cachedAuthor(page, 'bob').verified, true);
+    assert.equal(page.evaluate('Object.keys(authorCache).length'), 3);
+  } finally {
+    page.close();
+  }
+});
+
+test('network hook: reads XMLHttpRequest responses', async () => {
+  const page = await loadFixture('for-you.html');
+  try {
+    page.run(`(() => {
+      const request = new XMLHttpRequest();
+      request.open('GET', '${API}/UserByScreenName?variables=%7B%7D');
+      request.send();
+    })()`);
+    await settle();
+
+    assert.equal(cachedAuthor(page, 'erin').followers, 120);
+  } finally {
+    page.close();
+  }
+});
+
+test('network hook: leaves X\'s own response reader untouched', async () => {
+  const page = await loadFixture('for-you.html');
+  try {
+    page.run(`fetch('${API}/UserByScreenName').then(response => response.json()).then(body => { window.readByX = body.data.user.result.legacy.screen_name; })`);
+    await settle();
+
+    assert.equal(page.evaluate('window.readByX'), 'erin');
+  } finally {
+    page.close();
+  }
+});
+
+test('network hook: ignores requests outside X\'s API', async () => {
+  const page = await loadFixture('for-you.html');
+  try {
+    page.run(`fetch('https://x.com/HomeTimeline')`);
+    await settle();
+
+    assert.equal(page.evaluate('Object.keys(authorCache).length'), 0);
+  } finally {
+    page.close();
+  }
+});
+
+test('network hook: author data posted by page scripts is ignored', async () => {
+  const page = await loadFixture('for-you.html');
+  try {
+    page.run(`window.postMessage({ source: 'reply-guy-network', type: 'authors',
+      authors: [{ handle: 'mallory', followers: 9000000, verified: true, createdAt: null }] }, '*')`);
+    // A connect message of its own, without the nonce, gets no channel either
+    page.run(`(() => {
+      const channel = new MessageChannel();
+      window.postMessage({ source: 'reply-guy-network', type: 'connect', nonce: 'guess' }, '*', [channel.port2]);
+      channel.port1.postMessage({ type: 'authors', authors: [{ handle: 'mallory', followers: 9000000 }] });
+    })()`);
+    await settle();
+
+    assert.equal(cachedAuthor(page, 'mallory'), null);
+    // The nonce is gone from the page before X's scripts run
+    assert.equal(page.document.documentElement.hasAttribute('data-reply-guy-nonce'), false);
+  } finally {
+    page.close();
+  }
+});
@@ -0,0 +1,40 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { loadFixture } = require('./helpers/extension');
+
+test('Quote tweets: read as the quoting tweet, not the quoted one', async () => {
+  const page = await loadFixture('quote-tweet.html');
+  try {
+    const model = page.evaluate(`(() => {
+      const model = extractTweet(document.querySelector('[data-testid="tweet"]'));
+      return { id: model.id, handle: model.author.handle, timestamp: model.timestamp, isQuote: model.isQuote, isReply: model.isReply };
+    })()`);
+
+    assert.deepEqual(model, {
+      id: '1808500000000000011',
+      handle: 'alice',
+      timestamp: '2024-07-03T11:30:00.000Z',
+      isQuote: true,
+      isReply: false
+    });
+  } finally {
+    page.close();
+  }
+});
+
+test('Quote tweets: filtered by their own age', async () => {
+  const page = await loadFixture('quote-tweet.html');
+  try {
+    page.filter();
+    const decisions = page.decisions();
+
+    // Recent, quoting an 8 hour old tweet
+    assert.equal(decisions['1808500000000000011'].action, 'show');
+    // 4 hours old, quoting a recent tweet
+    assert.equal(decisions['1808500000000000012'].reason, 'time');
+    assert.equal(decisions['1808500000000000013'].action, 'show');
+    assert.deepEqual(page.errors, []);
+  } finally {
+    page.close();
+  }
+});
@@ -0,0 +1,140 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { loadFixture, settle } = require('./helpers/extension');
+
+const ALICE = '1808501000000000001';
+
+// X's reply dialog: the tweet being answered, with its link and a "Replying
+// to" line, above the composer
+function openReplyDialog(page) {
+  return openDialog(page, `
+    <article data-testid="tweet">
+      <div data-testid="User-Name"><a href="/alice" role="link"><span>@alice</span></a></div>
+      <a href="/alice/status/${ALICE}" role="link"><time datetime="2024-07-03T11:35:00.000Z">10m</time></a>
+    </article>
+    <div dir="ltr"><span>Replying to </span><div><a href="/alice" role="link"><span>@alice</span></a></div></div>`);
+}
+
+// X's quote dialog shows the quoted tweet as a card, without a link to it
+function openQuoteDialog(page) {
+  return openDialog(page, `
+    <div role="link" tabindex="0">
+      <div data-testid="User-Name"><span>@alice</span></div>
+      <div data-testid="tweetText"><span>Shipping the new onboarding flow today.</span></div>
+    </div>`);
+}
+
+function openDialog(page, content) {
+  const dialog = page.document.createElement('div');
+  dialog.setAttribute('role', 'dialog');
+  dialog.innerHTML = `
+    <div data-testid="tweetTextarea_0" contenteditable="true" role="textbox"></div>
+    ${content}
+    <div data-testid="toolBar"></div>
+    <button data-testid="tweetButton" role="button">Post</button>`;
+  page.document.body.appendChild(dialog);
+  return dialog;
+}
+
+function clickReply(page, tweetId) {
+  page.tweet(tweetId).querySelector('[data-testid="reply"]').click();
+}
+
+function repliedIds(page) {
+  return page.evaluate('Object.keys(repliedTweets)');
+}
+
+test('Reply dialog: submitting it records the tweet its reply button was for', async () => {
+  const page = await loadFixture('for-you.html');
+  try {
+    clickReply(page, ALICE);
+    const dialog = openReplyDialog(page);
+    await settle();
+    dialog.querySelector('[data-testid="tweetButton"]').click();
+
+    assert.deepEqual(repliedIds(page), [ALICE]);
+  } finally {
+    page.close();
+  }
+});
+
+test('Reply dialog: closing it forgets the tweet, so a later quote post isn\'t a reply', async () => {
+  const page = await loadFixture('for-you.html');
+  try {
+    clickReply(page, ALICE);
+    openReplyDialog(page);
+    await settle();
+    page.document.querySelector('[role="dialog"]').remove();
+    await settle();
+
+    const quote = openQuoteDialog(page);
+    await settle();
+    quote.querySelector('[data-testid="tweetButton"]').click();
+
+    assert.deepEqual(repliedIds(page), []);
+  } finally {
+    page.close();
+  }
+});
+
+test('Reply dialog: a quote dialog is never taken for the reply dialog', async () => {
+  const page = await loadFixture('for-you.html');
+  try {
+    // The reply dialog never opened; the quote dialog did
+    clickReply(page, ALICE);
+    const quote = openQuoteDialog(page);
+    await settle();
+    quote.querySelector('[data-testid="tweetButton"]').click();
+
+    assert.deepEqual(repliedIds(page), []);
+  } finally {
+    page.close();
+  }
+});
+
+test('Reply dialog: only the reply dialog gets a template picker', async () => {
+  const page = await loadFixture('for-you.html', { sync: { replyTemplates: ['Congrats {author}!'] } });
+  try {
+    clickReply(page, ALICE);
+    const dialog = openReplyDialog(page);
+    await settle(300);
+    assert.ok(dialog.querySelector('.reply-guy-template-picker'));
+
+    dialog.remove();
+    await settle();
+
+    // A reply button whose dialog didn't open, then a quote dialog
+    clickReply(page, ALICE);
+    const quote = openQuoteDialog(page);
+    await settle(300);
+    assert.equal(quote.querySelector('.reply-guy-template-picker'), null);
+  } finally {
+    page.close();
+  }
+});
+
+function pressSubmitShortcut(page, dialog) {
+  const composer = dialog.querySelector('[data-testid="tweetTextarea_0"]');
+  composer.dispatchEvent(new page.window.KeyboardEvent('keydown', { key: 'Enter', ctrlKey: true, bubbles: true }));
+}
+
+test('Reply dialog: Ctrl+Enter records the reply only when the Reply button is enabled', async () => {
+  const page = await loadFixture('for-you.html');
+  try {
+    clickReply(page, ALICE);
+    const dialog = openReplyDialog(page);
+    await settle();
+
+    // An empty composer: X's Reply button is disabled and nothing is sent
+    const button = dialog.querySelector('[data-testid="tweetButton"]');
+    button.setAttribute('aria-disabled', 'true');
+    pressSubmitShortcut(page, dialog);
+    assert.deepEqual(repliedIds(page), []);
+
+    button.removeAttribute('aria-disabled');
+    pressSubmitShortcut(page, dialog);
+    assert.deepEqual(repliedIds(page), [ALICE]);
+  } finally {
+    page.close();
+  }
+});
@@ -0,0 +1,100 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { loadFixture } = require('./helpers/extension');
+
+// Run one of content.js's helpers on the tweet with the given ID
+function callOnTweet(page, helper, tweetId) {
+  return page.evaluate(`${helper}(document.querySelector('[data-testid="tweet"] a[href$="/status/${tweetId}"]').closest('[data-testid="tweet"]'))`);
+}
+
+test('isTweetReply: only tweets with "Replying to" are replies', async () => {
+  const page = await loadFixture('for-you.html');
+  try {
+    // Every tweet has a reply button, which must not count
+    assert.equal(callOnTweet(page, 'isTweetReply', '1808501000000000001'), false);
+    assert.equal(callOnTweet(page, 'isTweetReply', '1808499000000000003'), true);
+  } finally {
+    page.close();
+  }
+});
+
+test('isTweetReply: a quoted tweet does not make a tweet a reply', async () => {
+  const page = await loadFixture('quote-tweet.html');
+  try {
+    assert.equal(callOnTweet(page, 'isTweetReply', '1808500000000000011'), false);
+  } finally {
+    page.close();
+  }
+});
+
+test('isTweetReply: wording in the tweet itself does not make it a reply', async () => {
+  const page = await loadFixture('for-you.html');
+  try {
+    page.evaluate(`document.querySelector('[data-testid="tweet"] a[href$="/status/1808501000000000001"]')
+      .closest('[data-testid="tweet"]').querySelector('[data-testid="tweetText"] span')
+      .textContent = 'Replying to everyone at once: I agree, no, yes, @bob'`);
+    assert.equal(callOnTweet(page, 'isTweetReply', '1808501000000000001'), false);
+  } finally {
+    page.close();
+  }
+});
+
+test('getTweetId: read from the timestamp link', async () => {
+  const page = await loadFixture('thread.html');
+  try {
+    assert.equal(callOnTweet(page, 'getTweetId', '1808427000000000123'), '1808427000000000123');
+  } finally {
+    page.close();
+  }
+});
+
+test('getTweetConversationId: prefers a conversation attribute over the tweet\'s own link', async () => {
+  const page = await loadFixture('for-you.html');
+  try {
+    assert.equal(callOnTweet(page, 'getTweetConversationId', '1808499000000000003'), '1808499000000000003');
+
+    page.tweet('1808499000000000003').setAttribute('data-conversation-id', '1808427000000000002');
+    assert.equal(callOnTweet(page, 'getTweetConversationId', '1808499000000000003'), '1808427000000000002');
+  } finally {
+    page.close();
+  }
+});
+
+test('extractTweet: engagement counts are re-read on every pass', async () => {
+  const page = await loadFixture('for-you.html');
+  try {
+    assert.equal(callOnTweet(page, 'extractTweet', '1808501000000000001').metrics.likes, 310);
+
+    page.tweet('1808501000000000001').querySelector('[data-testid="like"]').setAttribute('aria-label', '400 Likes. Like');
+    assert.equal(callOnTweet(page, 'extractTweet', '1808501000000000001').metrics.likes, 400);
+  } finally {
+    page.close();
+  }
+});
+
+test('extractTweet: a re-rendered tweet is parsed again', async () => {
+  const page = await loadFixture('for-you.html');
+  try {
+    callOnTweet(page, 'extractTweet', '1808501000000000001');
+
+    const rendered = page.tweet('1808501000000000001').cloneNode(true);
+    rendered.querySelector('[data-testid="tweetText"]').textContent = 'Edited';
+    page.tweet('1808501000000000001').replaceWith(rendered);
+    assert.equal(callOnTweet(page, 'extractTweet', '1808501000000000001').text, 'Edited');
+  } finally {
+    page.close();
+  }
+});
+
+test('findClosestTweet: a "Show more replies" cell belongs to the tweet above it', async () => {
+  const page = await loadFixture('show-more-replies.html');
+  try {
+    // Walking up from the cell would reach the first tweet of the timeline
+    const ids = page.evaluate(`Array.from(document.querySelectorAll('[data-testid="cellInnerDiv"]'))
+      .filter(cell => cell.textContent.includes('Show more replies'))
+      .map(cell => getTweetId(findClosestTweet(cell.querySelector('span') || cell)))`);
+    assert.deepEqual(Array.from(ids), ['1808600000000000002', '1808600000000000012']);
+  } finally {
+    page.close();
+  }
+});
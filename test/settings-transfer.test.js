@@ -0,0 +1,73 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { loadScripts, settle } = require('./helpers/extension');
+
+const POPUP_SCRIPTS = ['settings.js', 'profiles.js', 'settings-transfer.js'];
+
+// An export file from another install with one profile besides its Default
+function teammateExport() {
+  return JSON.stringify({
+    format: 'reply-guy-settings',
+    version: 1,
+    settings: { maxAge: 1440, minFollowers: 500, muteKeywords: ['giveaway'] },
+    profiles: [
+      { id: 'default', name: 'Default', settings: { maxAge: 120 } },
+      { id: 'deep', name: 'Deep dive', settings: { maxAge: 1440, minFollowers: 500 } }
+    ],
+    activeProfileId: 'deep',
+    schedules: []
+  });
+}
+
+async function importFile(scripts, text, mode) {
+  scripts.run(`applySettingsImport(parseSettingsImport(${JSON.stringify(text)}), '${mode}', error => { window.importError = error; })`);
+  await settle();
+  return scripts.evaluate('window.importError');
+}
+
+test('merge import: a setup without stored profiles keeps its settings as the active Default profile', async () => {
+  // Settings saved before profiles existed, or never switched
+  const scripts = loadScripts(POPUP_SCRIPTS, { sync: { maxAge: 30, minFollowers: 100, muteKeywords: ['crypto'] } });
+  try {
+    assert.equal(await importFile(scripts, teammateExport(), 'merge'), null);
+    const sync = scripts.storage.sync;
+
+    assert.deepEqual(sync.profileIds, ['default', sync.profileIds[1], 'deep']);
+    assert.equal(sync.activeProfileId, 'default');
+    assert.equal(sync['profile:default'].name, 'Default');
+    assert.equal(sync['profile:default'].settings.maxAge, 30);
+    assert.equal(sync[`profile:${sync.profileIds[1]}`].name, 'Default (imported)');
+    assert.equal(sync.maxAge, 30);
+    assert.deepEqual(sync.muteKeywords, ['crypto', 'giveaway']);
+
+    // Switching away no longer overwrites the imported profile with the current settings
+    scripts.run('cycleProfile(() => {}); cycleProfile(() => {})');
+    await settle();
+    assert.equal(scripts.storage.sync['profile:deep'].settings.maxAge, 1440);
+  } finally {
+    scripts.close();
+  }
+});
+
+test('merge import: the active profile stays active', async () => {
+  const scripts = loadScripts(POPUP_SCRIPTS, {
+    sync: {
+      profileIds: ['default', 'morning'],
+      'profile:default': { id: 'default', name: 'Default', settings: { maxAge: 120 } },
+      'profile:morning': { id: 'morning', name: 'Morning sweep', settings: { maxAge: 60 } },
+      activeProfileId: 'morning',
+      maxAge: 60
+    }
+  });
+  try {
+    assert.equal(await importFile(scripts, teammateExport(), 'merge'), null);
+    const sync = scripts.storage.sync;
+
+    assert.equal(sync.activeProfileId, 'morning');
+    assert.equal(sync.maxAge, 60);
+    assert.deepEqual(sync.profileIds.slice(0, 2), ['default', 'morning']);
+    assert.equal(sync.profileIds.length, 4);
+  } finally {
+    scripts.close();
+  }
+});
@@ -0,0 +1,86 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { loadFixture } = require('./helpers/extension');
+
+function showMoreCells(page) {
+  return Array.from(page.document.querySelectorAll('[data-testid="cellInnerDiv"]'))
+    .filter(cell => cell.textContent.includes('Show more replies'));
+}
+
+test('Show more replies: hidden under a hidden conversation', async () => {
+  const page = await loadFixture('show-more-replies.html');
+  try {
+    page.filter();
+    const decisions = page.decisions();
+
+    assert.equal(decisions['1808600000000000001'].reason, 'time');
+    assert.equal(decisions['1808600000000000002'].reason, 'parent_filtered');
+    assert.equal(page.isHidden(showMoreCells(page)[0]), true);
+  } finally {
+    page.close();
+  }
+});
+
+test('Show more replies: left alone under a shown conversation', async () => {
+  const page = await loadFixture('show-more-replies.html');
+  try {
+    page.filter();
+    const decisions = page.decisions();
+
+    assert.equal(decisions['1808600000000000011'].action, 'show');
+    assert.equal(decisions['1808600000000000012'].action, 'show');
+    assert.equal(page.isHidden(showMoreCells(page)[1]), false);
+    assert.deepEqual(page.errors, []);
+  } finally {
+    page.close();
+  }
+});
+
+test('Show more replies: a reply isn\'t hidden for good with a tweet only held back', async () => {
+  // Alice's tweet (20 minutes old) and Erin's reply (5 minutes) are both too new
+  const page = await loadFixture('show-more-replies.html', { sync: { minAge: 30 } });
+  try {
+    page.filter();
+    const decisions = page.decisions();
+
+    assert.equal(decisions['1808600000000000011'].reason, 'too_new');
+    assert.equal(decisions['1808600000000000012'].reason, 'too_new');
+    assert.equal(page.evaluate('allFilteredTweets.has("1808600000000000012")'), false);
+    assert.equal(page.isHidden(showMoreCells(page)[1]), false);
+  } finally {
+    page.close();
+  }
+});
+
+test('Show more replies: an allowlisted old tweet keeps its replies', async () => {
+  // Bob's tweet is 3 hours old, past the 2 hour window, but always shown
+  const page = await loadFixture('show-more-replies.html', { sync: { allowlist: ['bob'] } });
+  try {
+    page.filter();
+    const decisions = page.decisions();
+
+    assert.equal(decisions['1808600000000000001'].reason, 'allowlist');
+    assert.equal(decisions['1808600000000000002'].action, 'show');
+    assert.equal(page.evaluate('filteredParentIds.has("1808600000000000001")'), false);
+    assert.equal(page.isHidden(showMoreCells(page)[0]), false);
+  } finally {
+    page.close();
+  }
+});
+
+test('Show more replies: an old tweet shown anyway brings its replies back', async () => {
+  const page = await loadFixture('show-more-replies.html');
+  try {
+    page.filter();
+    assert.equal(page.decisions()['1808600000000000002'].reason, 'parent_filtered');
+
+    page.evaluate('showTweetAnyway("1808600000000000001")');
+    const decisions = page.decisions();
+
+    assert.equal(decisions['1808600000000000001'].reason, 'override');
+    assert.equal(decisions['1808600000000000002'].action, 'show');
+    assert.equal(page.isHidden(showMoreCells(page)[0]), false);
+  } finally {
+    page.close();
+  }
+});
@@ -0,0 +1,64 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { loadFixture } = require('./helpers/extension');
+
+const THREAD_SETTINGS = { surfaces: { thread: { enabled: true } } };
+
+function cells(page) {
+  return Array.from(page.document.querySelectorAll('[data-testid="cellInnerDiv"]'));
+}
+
+test('Thread: the thread above the post and the post itself are never hidden', async () => {
+  const page = await loadFixture('thread.html', { sync: THREAD_SETTINGS });
+  try {
+    page.filter();
+    const decisions = page.decisions();
+
+    // Both are older than the 2 hour limit
+    assert.equal(decisions['1808427000000000100'].reason, 'thread_context');
+    assert.equal(decisions['1808427000000000110'].reason, 'thread_context');
+    assert.equal(page.isHidden(page.tweet('1808427000000000110')), false);
+  } finally {
+    page.close();
+  }
+});
+
+test('Thread: old replies and their replies are hidden', async () => {
+  const page = await loadFixture('thread.html', { sync: THREAD_SETTINGS });
+  try {
+    page.filter();
+    const decisions = page.decisions();
+
+    assert.equal(decisions['1808427000000000121'].action, 'show');
+    assert.equal(decisions['1808427000000000122'].reason, 'time');
+    assert.equal(decisions['1808427000000000123'].reason, 'parent_filtered');
+    assert.equal(decisions['1808427000000000124'].action, 'show');
+    assert.deepEqual(page.errors, []);
+  } finally {
+    page.close();
+  }
+});
+
+test('Thread: "Show more replies" is hidden only under a hidden reply', async () => {
+  const page = await loadFixture('thread.html', { sync: THREAD_SETTINGS });
+  try {
+    page.filter();
+    const all = cells(page);
+
+    assert.equal(page.isHidden(all[5]), true);
+    assert.equal(page.isHidden(all[7]), false);
+  } finally {
+    page.close();
+  }
+});
+
+test('Thread: replies are left alone when the thread surface is off', async () => {
+  const page = await loadFixture('thread.html');
+  try {
+    page.filter();
+
+    assert.equal(page.document.querySelectorAll('.reply-guy-filtered-tweet').length, 0);
+  } finally {
+    page.close();
+  }
+});